@@ -1,47 +1,130 @@
 'use strict';
 
 const crypto = require('crypto');
+const events = require('events');
+const util   = require('util');
 const url    = require('url');
-const async  = require('async');
+const qs     = require('querystring');
 const uuid   = require('uuid');
-const http   = require('superagent');
 const _      = require('lodash');
-require('bitcoin-math');
-const bitcoinAddress = require('bitcoin-address');
 
 const responseHandler = require('./lib/response_handler');
-const colombiaBanks   = require('./lib/banks').colombia;
+const errors          = require('./lib/errors');
+const endpoints       = require('./lib/endpoints');
+const RetryPolicy     = require('./lib/retry');
+const RateLimiter     = require('./lib/rate_limiter');
+const NonceGenerator  = require('./lib/nonce');
+const Operation       = require('./lib/operation');
+const Logger          = require('./lib/logger');
+const Credentials     = require('./lib/credentials');
+const AccountManager  = require('./lib/account_manager');
+const environments    = require('./lib/environments');
+const Money           = require('./lib/money');
+const currencies      = require('./lib/currencies');
+const MarketCatalog   = require('./lib/markets');
+const OrderBuilder    = require('./lib/order_builder');
+const EmulatedOrder   = require('./lib/emulated_orders');
+const transports      = require('./lib/transports');
+const orderFilter     = require('./lib/order_filter');
+const Paginator       = require('./lib/paginator');
+const execution       = require('./lib/execution');
+const nodeify         = require('./lib/promise').nodeify;
+const mapLimit        = require('./lib/promise').mapLimit;
+
+const SIGNED_METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'];
+
+// Options of `pollOrderState`, also taken by the methods polling orders
+const POLL_OPTIONS = ['interval', 'backoff', 'maxInterval', 'maxDuration', 'maxAttempts', 'terminalStates', 'onProgress'];
 
 function Client(options) {
-  this.api     = options.api || 'https://www.surbtc.com/api/v2';
-  this.key     = options.key || '';
-  this.secret  = options.secret || '';
+  events.EventEmitter.call(this);
+
+  this.environment = environments.resolve(options.environment);
+  this.api     = options.api || environments.apiUrl(this.environment);
+  this.credentials = new Credentials(options.credentials || {
+    key:    options.key,
+    secret: options.secret
+  });
   this.params  = options.params || {};
+  this.retry   = new RetryPolicy(options.retry);
+  this.timeout = options.timeout === undefined ? {response: 30000} : options.timeout;
+  this.transport = options.transport || new transports.SuperagentTransport();
+  const rateLimiter = options.rateLimiter === undefined
+    ? this.environment.limits.rateLimiter
+    : options.rateLimiter;
+
+  this.rateLimiter = rateLimiter instanceof RateLimiter
+    ? rateLimiter
+    : rateLimiter && new RateLimiter(rateLimiter);
+  this.nonce = _.isFunction(options.nonce)
+    ? {next: options.nonce}
+    : options.nonce || new NonceGenerator({
+      clockOffset: options.clockOffset,
+      lastNonce:   options.lastNonce
+    });
+  // Highest nonce signed so far, see the 401 handling of `_request`
+  this.lastNonceSent = 0;
+  this.markets = options.markets === false ? null : new MarketCatalog(this, options.markets);
+  this.hooks   = options.hooks || {};
+
+  // Emulated orders by id, until they are placed, canceled or fail
+  this.emulatedOrders = {};
+  this.logger  = new Logger({debug: options.debug, logger: options.logger});
   this.headers = options.headers || {
     'Accept':       'application/json',
     'Content-Type': 'application/json'
   }
 }
 
+util.inherits(Client, events.EventEmitter);
+
+// Current api key and secret, as last read from the credentials provider
+Object.defineProperties(Client.prototype, {
+  key: {
+    get: function () {
+      return this.credentials.current.key || '';
+    }
+  },
+  secret: {
+    get: function () {
+      return this.credentials.current.secret || '';
+    }
+  }
+});
+
 Client.prototype._getFullUrl = function (path) {
   return this.api + path
 };
 
 Client.prototype._getHmac = function (nonce, method, path, data) {
   // Returns a HMAC based on surBTC auth scheme to be
-  // used to build headers when auth is required
+  // used to build headers when auth is required.
+  // Requests without a body (GET, DELETE, body-less POST...) sign
+  // `METHOD path nonce`, the others `METHOD path base64(body) nonce`
 
   const fullPath = url.parse(this._getFullUrl(path)).path;
   let message = '';
 
-  if (method === 'GET') {
-    message = 'GET' + ' ' + fullPath + ' ' + nonce;
-  } else if (method === 'POST' || method === 'PUT') {
-    const encodedData = new Buffer(JSON.stringify(data)).toString('base64');
-    message = method + ' ' + fullPath + ' ' + encodedData + ' ' + nonce;
+  if (!_.includes(SIGNED_METHODS, method)) {
+    throw new errors.SurbtcValidationError('InvalidRequest:UnsupportedMethod', {statusCode: 400});
+  }
+
+  if (data === undefined) {
+    message = method + ' ' + fullPath + ' ' + nonce;
   } else {
-    console.error('Authentication for ' + method + ' is not implemented');
-    return
+    const encodedData = Buffer.from(JSON.stringify(data)).toString('base64');
+    message = method + ' ' + fullPath + ' ' + encodedData + ' ' + nonce;
+  }
+
+  if (this.logger.enabled) {
+    // The encoded body is masked as a whole when it holds sensitive fields
+    this.logger.debug('signing', {
+      message: Logger.isSensitive(data)
+        ? method + ' ' + fullPath + ' ' + Logger.MASK + ' ' + nonce
+        : message,
+      nonce:   nonce,
+      body:    data
+    });
   }
 
   return crypto
@@ -50,511 +133,718 @@ Client.prototype._getHmac = function (nonce, method, path, data) {
     .digest('hex');
 };
 
-Client.prototype._getAuthHeaders = function (method, path, data) {
+Client.prototype._getAuthHeaders = function (method, path, data, nonce, headers) {
   // Returns headers for requests that requires auth
-  const timestamp = new Date().getTime();
+  headers = headers || this.headers;
+
+  if (nonce === undefined) {
+    nonce = this.nonce.next();
+  }
 
   const authHeaders = {
     'X-SBTC-APIKEY': this.key,
-    'X-SBTC-NONCE': timestamp,
-    'X-SBTC-SIGNATURE': this._getHmac(timestamp, method, path, data)
+    'X-SBTC-NONCE': nonce,
+    'X-SBTC-SIGNATURE': this._getHmac(nonce, method, path, data)
   };
 
-  for (let attrname in this.headers) {
-    authHeaders[attrname] = this.headers[attrname];
+  for (let attrname in headers) {
+    authHeaders[attrname] = headers[attrname];
   }
 
   return authHeaders
 };
 
-Client.prototype.getMarkets = function (callback) {
-  const path = '/markets';
+Client.prototype._request = function (endpoint, params, operation) {
+  // Runs the request described by an entry of the endpoints table
+  const self = this;
+
+  operation = operation || new Operation(null, self.timeout);
+
+  const context = {
+    correlationId: operation.correlationId,
+    method:        endpoint.method,
+    path:          undefined,
+    attempt:       0
+  };
+  const startedAt = Date.now();
 
-  http
-  .get(this._getFullUrl(path))
-  .set(this.headers)
-  .end(function (error, response) {
-    if (error) {
-      responseHandler.errorSet(error, error.response.error);
-      return callback(error.json, null)
+  // Sends the request once the market is known, and again as retries allow
+  function run(resolve, reject) {
+    if (operation.aborted()) {
+      return reject(operation.error());
     }
-    responseHandler.success(response, response.body);
-    callback(null, response.json)
-  })
-};
 
-Client.prototype.getBalances = function (currency, callback) {
-  let path = '/balances';
+    if (endpoint.params) {
+      params = _.assign({}, params, endpoint.params(params));
+    }
 
-  if (currency) {
-    path = `${path}/${currency}`;
-  }
+    const path = buildPath(endpoint.path, params) +
+      buildQuery(endpoint.query ? endpoint.query(params) : {});
+    const data = endpoint.body ? endpoint.body(params, self) : undefined;
+    const idempotencyKey = endpoint.idempotencyKey ? endpoint.idempotencyKey(params) : undefined;
+    const description = endpoint.method + ' ' + path;
+
+    context.path = path;
+
+    // Only requests that are safe to repeat are retried
+    const retryable = endpoint.method === 'GET' || !!idempotencyKey;
+    let refreshed = false;
+    let resigned = false;
+
+    function send() {
+      ++context.attempt;
+
+      const request = _.assign({headers: _.clone(self.headers)}, context);
+      let sentAt;
+      let signedWith;
+
+      // Requires auth
+      (endpoint.auth ? self._authenticate() : Promise.resolve()).then(function () {
+        return self._throttle(endpoint, operation);
+      }).then(function () {
+        if (operation.aborted()) {
+          throw operation.error();
+        }
+
+        return self._runHooks('beforeRequest', request);
+      }).then(function () {
+        // Signed again on every attempt so each one gets a fresh nonce
+        return endpoint.auth ? self.nonce.next() : undefined
+      }).then(function (nonce) {
+        signedWith = self.credentials.current;
+
+        if (endpoint.auth) {
+          self.lastNonceSent = Math.max(self.lastNonceSent, Number(nonce));
+        }
+
+        const headers = endpoint.auth
+          ? self._getAuthHeaders(endpoint.method, path, data, nonce, request.headers)
+          : request.headers;
+
+        if (idempotencyKey) {
+          headers['Idempotency-Key'] = idempotencyKey;
+        }
+
+        if (data !== undefined && !_.some(_.keys(headers), isContentType)) {
+          headers['Content-Type'] = 'application/json';
+        }
+
+        const removeAbortListener = operation.onAbort(reject);
+
+        sentAt = Date.now();
+        self.emit('request', _.assign({}, context));
+        self.logger.debug('request', {
+          correlationId: context.correlationId,
+          attempt:       context.attempt,
+          method:        endpoint.method,
+          url:           self._getFullUrl(path),
+          headers:       headers,
+          body:          data
+        });
+
+        return self.transport.send({
+          method:  endpoint.method,
+          url:     self._getFullUrl(path),
+          headers: headers,
+          body:    data === undefined ? undefined : JSON.stringify(data),
+          timeout: operation.responseTimeout,
+          signal:  operation.signal
+        }).then(function (response) {
+          self.emit('response', _.assign({
+            status:   response.status,
+            duration: Date.now() - sentAt
+          }, context));
+
+          return parseResponse(response);
+        }).then(function (response) {
+          self.logger.debug('response', {
+            correlationId: context.correlationId,
+            attempt:       context.attempt,
+            status:        response.status,
+            headers:       response.headers,
+            body:          response.body === undefined ? response.text : response.body
+          });
+
+          if (response.status >= 200 && response.status < 300) {
+            return response;
+          }
+          throw errors.fromResponse(response, description);
+        }, function (error) {
+          self.logger.debug('failure', {
+            correlationId: context.correlationId,
+            attempt:       context.attempt,
+            code:          error.code,
+            message:       error.message,
+            body:          error.rawResponse
+          });
+
+          throw errors.fromTransportError(error, description);
+        }).then(function (response) {
+          removeAbortListener();
+
+          if (operation.aborted()) {
+            return;
+          }
+
+          const result = {};
+          responseHandler.success(result, Money.parse(response.body));
+
+          if (endpoint.auth && self.nonce.accepted) {
+            self.nonce.accepted(nonce);
+          }
+
+          if (endpoint.check) {
+            endpoint.check(result.json, description);
+          }
+          resolve(result.json);
+        }, function (error) {
+          removeAbortListener();
+
+          if (operation.aborted()) {
+            return;
+          }
+
+          // Concurrent signed requests can reach the server out of order,
+          // and it rejects a nonce lower than one it already accepted. A
+          // request rejected after a later nonce was sent is signed again
+          // once, a 401 means it was not processed
+          if (endpoint.auth && error.statusCode === 401 && !resigned && Number(nonce) < self.lastNonceSent) {
+            resigned = true;
+            self.emit('retry', _.assign({
+              status:   error.statusCode,
+              duration: Date.now() - sentAt,
+              delay:    0,
+              error:    error
+            }, context));
+            return send();
+          }
+
+          if (endpoint.auth && error.statusCode === 401 && !refreshed) {
+            refreshed = true;
+            return self._refreshCredentials(signedWith).then(function (rotated) {
+              if (!rotated) {
+                return reject(error);
+              }
+
+              self.emit('retry', _.assign({
+                status:   error.statusCode,
+                duration: Date.now() - sentAt,
+                delay:    0,
+                error:    error
+              }, context));
+              send();
+            });
+          }
+
+          if (retryable && self.retry.shouldRetry(error, context.attempt)) {
+            const wait = self.retry.delay(error, context.attempt);
+
+            self.emit('retry', _.assign({
+              status:   error.statusCode,
+              duration: Date.now() - sentAt,
+              delay:    wait,
+              error:    error
+            }, context));
+
+            return operation.delay(wait).then(send, reject);
+          }
+          reject(error);
+        });
+      }).catch(reject);
+    }
 
-  // Requires auth
-  if (this.secret === '') {
-    let err = {};
-    responseHandler.invalidRequest(err, 'InvalidRequest:ApiKeyRequired', null);
-    return callback(err.json, null);
+    send();
   }
 
-  http
-  .get(this._getFullUrl(path))
-  .set(this._getAuthHeaders('GET', path))
-  .end(function (error, response) {
-    if (error) {
-      responseHandler.errorSet(error, error.response.error);
-      return callback(error.json, null);
+  return self._lookupMarket(endpoint, params, operation).then(function (resolved) {
+    params = resolved;
+    return new Promise(run);
+  }).catch(function (error) {
+    // `error` events are only emitted when somebody listens, an
+    // EventEmitter throws them otherwise
+    if (self.listenerCount('error') > 0) {
+      self.emit('error', error, _.assign({
+        status:   error.statusCode,
+        duration: Date.now() - startedAt
+      }, context));
     }
-    responseHandler.success(response, response.body);
-    callback(null, response.json)
+
+    throw error;
   })
 };
 
-Client.prototype.getExchangeFee = function (marketId, type, marketOrder, callback) {
-  // Requires auth
-  type = _.capitalize(type);
-
-  let path = '/markets/' + marketId + '/fee_percentage?type=' + type;
-
-  if (this.secret === '') {
-    let err = {};
-    responseHandler.invalidRequest(err, 'InvalidRequest:ApiKeyRequired', null);
-    return callback(err.json, null)
-  }
+Client.prototype._lookupMarket = function (endpoint, params, operation) {
+  // Resolves with the params of the endpoint and their market, looked up in
+  // the catalog so unknown market ids never reach the api. The catalog is
+  // shared, an aborted call only stops waiting for it
+  const self = this;
 
-  if (marketOrder) {
-    if (_.isFunction(marketOrder)) {
-      callback = marketOrder
-    } else {
-      path += '&market_order=true';
-    }
+  if (!endpoint.market || !self.markets || params.market) {
+    return Promise.resolve(params)
   }
 
-  http
-  .get(this._getFullUrl(path))
-  .set(this._getAuthHeaders('GET', path))
-  .end(function (error, response) {
-    if (error) {
-      responseHandler.errorSet(error, error.response.error);
-      return callback(error.json, null);
-    }
-    responseHandler.success(response, response.body);
-    callback(null, response.json);
+  return new Promise(function (resolve, reject) {
+    const removeAbortListener = operation.onAbort(reject);
+
+    (endpoint.auth ? self._authenticate() : Promise.resolve()).then(function () {
+      return self.markets.get(params.marketId);
+    }).then(function (market) {
+      removeAbortListener();
+      resolve(_.assign({}, params, {marketId: market.id, market: market}));
+    }, function (error) {
+      removeAbortListener();
+      reject(error);
+    });
   })
 };
 
-Client.prototype.generateUUID = function (callback) {
-  callback(null, {status: 'success', uuid: uuid.v4()})
-};
+Client.prototype._authenticate = function () {
+  // Resolves once there are credentials to sign requests with
+  const credentials = this.credentials;
 
-Client.prototype.getOrderBook = function (marketId, callback) {
-  const path = '/markets/' + marketId + '/order_book';
-
-  http
-  .get(this._getFullUrl(path))
-  .set(this.headers)
-  .end(function (error, response) {
-    if (error) {
-      responseHandler.errorSet(error, error.response.error);
-      return callback(error.json, null);
+  return credentials.get().then(function () {
+    if (!credentials.complete()) {
+      throw new errors.SurbtcAuthError('InvalidRequest:ApiKeyRequired', {
+        statusCode: 400,
+        errorType:  errors.ErrorType.invalidRequest
+      });
     }
-    responseHandler.success(response, response.body);
-    callback(null, response.json);
+  }, function (error) {
+    throw new errors.SurbtcAuthError('Unable to read the credentials: ' + error.message, {
+      statusCode: 400,
+      errorType:  errors.ErrorType.invalidRequest
+    });
   })
-}
+};
 
-Client.prototype.getQuotation = function (marketId, type, amount, callback) {
-  // Requires auth
-  type = _.lowerCase(type);
+Client.prototype._refreshCredentials = function (previous) {
+  // Reads the credentials again after they were rejected. Resolves with
+  // whether they changed, a request is only worth sending again if so
+  return this.credentials.refresh().then(function (credentials) {
+    return credentials.key !== previous.key || credentials.secret !== previous.secret;
+  }, function () {
+    return false;
+  })
+};
 
-  const path = '/markets/' + marketId + '/quotations';
+Client.prototype.order = function (marketId) {
+  // Returns a builder of an order in the market, see `lib/order_builder.js`
+  return new OrderBuilder(this, marketId);
+};
 
-  if (this.secret === '') {
-    let err = {};
-    responseHandler.invalidRequest(err, 'InvalidRequest:ApiKeyRequired', null);
-    return callback(err.json, null);
+Client.prototype.getMarket = function (marketId, callback) {
+  // Returns a market of the catalog, see `lib/markets.js`
+  if (!this.markets) {
+    return nodeify(Promise.reject(new errors.SurbtcValidationError('InvalidRequest:MarketCatalogDisabled', {statusCode: 400})), callback)
   }
 
-  let data = {
-    quotation: {
-      type: type,
-      reverse: false,
-      amount: amount
-    }
-  };
-
-  http
-  .post(this._getFullUrl(path))
-  .send(data)
-  .set(this._getAuthHeaders('POST', path, data))
-  .end(function (error, response) {
-    if (error) {
-      responseHandler.errorSet(error, error.response.error);
-      return callback(error.json, null)
-    }
-    responseHandler.success(response, response.body)
-    callback(null, response.json)
-  })
-}
-
-Client.prototype.getReverseQuotation = function (marketId, type, amount, callback) {
-  // Requires auth
-  type = _.lowerCase(type)
+  return nodeify(this.markets.get(marketId), callback)
+};
 
-  const path = '/markets/' + marketId + '/quotations';
+Client.prototype.trailingStop = function (marketId, order, options, callback) {
+  // Starts an emulated trailing-stop order, see `lib/emulated_orders.js`
+  const call = callArguments(arguments, 2);
 
-  if (this.secret === '') {
-    let err = {};
-    responseHandler.invalidRequest(err, 'InvalidRequest:ApiKeyRequired', null);
-    return callback(err.json, null)
-  }
+  return nodeify(this._emulate(EmulatedOrder.Kind.trailingStop, marketId, order, call.options), call.callback)
+};
 
-  let data = {
-    quotation: {
-      type: type,
-      reverse: true,
-      amount: amount
-    }
-  };
+Client.prototype.takeProfit = function (marketId, order, options, callback) {
+  // Starts an emulated take-profit order, see `lib/emulated_orders.js`
+  const call = callArguments(arguments, 2);
 
-  http
-  .post(this._getFullUrl(path))
-  .send(data)
-  .set(this._getAuthHeaders('POST', path, data))
-  .end(function (error, response) {
-    if (error) {
-      responseHandler.errorSet(error, error.response.error);
-      return callback(error.json, null);
-    }
-    responseHandler.success(response, response.body);
-    callback(null, response.json);
-  })
+  return nodeify(this._emulate(EmulatedOrder.Kind.takeProfit, marketId, order, call.options), call.callback)
 };
 
-Client.prototype.createOrder = function (marketId, order, callback) {
-  // Requires auth
-  const path = '/markets/' + marketId + '/orders';
+Client.prototype._emulate = function (kind, marketId, order, options) {
+  // Resolves with the emulated order once it watches the order book
+  const self = this;
+  const emulated = new EmulatedOrder(self, kind, marketId, _.assign({signal: options.signal}, order));
+  const lookup = self.markets ? self.markets.get(marketId) : Promise.resolve(null);
 
-  if (this.secret === '') {
-    let err = {};
-    responseHandler.invalidRequest(err, 'InvalidRequest:ApiKeyRequired', null);
-    return callback(err.json, null);
-  }
+  return lookup.then(function (market) {
+    emulated.start(market);
+    self.emulatedOrders[emulated.id] = emulated;
 
-  http
-  .post(this._getFullUrl(path))
-  .set(this._getAuthHeaders('POST', path, order))
-  .send(order)
-  .end(function (error, response) {
-    if (error) {
-      responseHandler.errorSet(error, error.response.error);
-      return callback(error.json, null);
-    }
+    // Once placed, the real order is canceled with its own id
+    emulated.once('settled', function () {
+      delete self.emulatedOrders[emulated.id];
+    });
 
-    responseHandler.success(response, response.body);
-    callback(null, response.json);
+    return emulated;
   })
 };
 
-Client.prototype._getOrderPages = function (orders, marketId, state, callback, loopFunction) {
+Client.prototype.rotateCredentials = function (credentials, callback) {
+  // Reads the credentials again from the provider, or switches to new ones
+  // (a provider, a callback or {key, secret}). Requests signed from now on
+  // use them.
   const self = this;
 
-  // check if there are any more pages
-  let page = _.toNumber(orders.meta.current_page);
+  return nodeify(self.credentials.refresh(credentials).then(function () {
+    return self._authenticate();
+  }).then(function () {
+    return {success: true};
+  }), callback)
+};
 
-  // filter orders by state
-  if (orders.success && state) {
-    orders.orders = _.filter(orders.orders, {state: state});
-    if (page === orders.meta.total_pages) {
-      orders.meta = {total_count: orders.orders.length}
-    }
+Client.prototype._runHooks = function (name, request) {
+  // Runs the hooks registered under `name` one after the other
+  const hooks = _.castArray(this.hooks[name] || []);
+
+  return _.reduce(hooks, function (previous, hook) {
+    return previous.then(function () {
+      return hook(request);
+    });
+  }, Promise.resolve())
+};
+
+Client.prototype._throttle = function (endpoint, operation) {
+  // Waits for the rate limiter, when the client has one. Calls aborted
+  // meanwhile leave its queue
+  if (!this.rateLimiter) {
+    return Promise.resolve()
   }
 
-  if (orders.success && page < orders.meta.total_pages) {
-    ++page;
+  return this.rateLimiter.schedule(endpoint.priority, operation.signal)
+};
+
+// Request methods (getMarkets, createOrder, ...) come from the endpoints table.
+// They take the endpoint arguments, then optional call options and callback
+_.forEach(endpoints, function (endpoint, name) {
+  Client.prototype[name] = function () {
+    const call = callArguments(arguments, endpoint.args.length);
+    const operation = new Operation(call.options, this.timeout);
+    const params = _.zipObject(endpoint.args, call.args);
 
-    self.getOrdersRaw(marketId, page, function (error, response) {
-      if (error) {
-        callback(error, null);
-        return
-      }
+    return nodeify(operation.run(this._request(endpoint, params, operation)), call.callback)
+  };
+});
 
-      orders.orders = _.concat(orders.orders, response.orders);
-      orders.meta.current_page = page;
+// Emulated orders are canceled by the client, every other order by the api
+const cancelOrderId = Client.prototype.cancelOrderId;
 
-      loopFunction(orders, marketId, state, callback, loopFunction)
-    })
-  } else {
-    callback(null, orders)
+Client.prototype.cancelOrderId = function (orderId, options, callback) {
+  const emulated = this.emulatedOrders[orderId];
+
+  if (!emulated) {
+    return cancelOrderId.apply(this, arguments);
   }
-};
 
-Client.prototype._getOrderState = function (order, status, callback, loopFunction) {
-  const self = this;
+  const call = callArguments(arguments, 1);
 
-  if (order.success && order.order.state !== status) {
-    self.getOrderId(order.order.id, function (error, response) {
-      if (error) {
-        return callback(error, null)
-      }
+  return nodeify(emulated.cancel(), call.callback)
+};
 
-      setTimeout(function () {
-        loopFunction(response, status, callback, loopFunction)
-      }, 500)
-    })
-  } else {
-    callback(null, order)
-  }
+Client.prototype.generateUUID = function (callback) {
+  return nodeify(Promise.resolve({status: 'success', uuid: uuid.v4()}), callback)
 };
 
-Client.prototype.pollOrders = function (orders, marketId, state, callback) {
+Client.prototype._getOrderPages = function (orders, marketId, state, options, concurrency) {
+  // Fetches the pages after `orders`, the first one, `concurrency` at a time
   const self = this;
 
-  self._getOrderPages(orders, marketId, state, callback,
-    self._getOrderPages.bind(this))
+  if (!orders.success) {
+    return Promise.resolve(orders)
+  }
+
+  const current = _.toNumber(orders.meta.current_page) || 1;
+  const total = _.toNumber(orders.meta.total_pages) || current;
+  const pages = _.range(current + 1, total + 1);
+
+  return mapLimit(pages, concurrency, function (page) {
+    return self.getOrdersRaw(marketId, page, options)
+  }).then(function (responses) {
+    // Orders created while the pages are fetched push older ones to the
+    // next page, where they are seen twice. Newest (highest id) first
+    const merged = _.orderBy(_.uniqBy(_.flatMap(_.concat([orders], responses), 'orders'), 'id'), ['id'], ['desc']);
+
+    orders.orders = state ? _.filter(merged, {state: state}) : merged;
+    orders.meta = _.assign({}, orders.meta, {
+      current_page: total,
+      total_pages:  total,
+      total_count:  orders.orders.length
+    });
+
+    return orders
+  })
 };
 
-Client.prototype.pollOrderState = function (order, status, callback) {
+Client.prototype._getOrderState = function (order, status, operation, options) {
+  // Polls the order until it reaches `status`, see `pollOrderState`
   const self = this;
+  const settings = _.defaults(_.pick(options, POLL_OPTIONS), {
+    interval:       500,
+    backoff:        1,
+    maxInterval:    30000,
+    maxDuration:    Infinity,
+    maxAttempts:    Infinity,
+    terminalStates: ['traded', 'canceled'],
+    onProgress:     _.noop
+  });
+  const startedAt = Date.now();
+  let attempts = 0;
+
+  const stop = function (outcome, message, response) {
+    return new errors.SurbtcOrderStateError(message, {
+      statusCode: response.statusCode,
+      errorType:  errors.ErrorType.orderState,
+      outcome:    outcome,
+      order:      response.order,
+      attempts:   attempts
+    });
+  };
+
+  const poll = function (response) {
+    if (!response.success || response.order.state === status) {
+      return response;
+    }
+
+    const state = response.order.state;
+    const elapsed = Date.now() - startedAt;
 
-  self._getOrderState(order, status, callback,
-    self._getOrderState.bind(this))
+    if (_.includes(settings.terminalStates, state)) {
+      throw stop(errors.PollOutcome.terminalState, 'Order ended ' + state + ' instead of ' + status, response);
+    }
+    if (attempts >= settings.maxAttempts) {
+      throw stop(errors.PollOutcome.maxAttempts, 'Order not ' + status + ' after ' + attempts + ' attempts', response);
+    }
+    if (elapsed >= settings.maxDuration) {
+      throw stop(errors.PollOutcome.maxDuration, 'Order not ' + status + ' after ' + settings.maxDuration + 'ms', response);
+    }
+
+    const delay = Math.min(
+      settings.interval * Math.pow(settings.backoff, attempts),
+      settings.maxInterval,
+      settings.maxDuration - elapsed
+    );
+
+    return operation.delay(delay).then(function () {
+      attempts++;
+      return self.getOrderId(response.order.id, operation.child());
+    }).then(function (next) {
+      if (next.success && !sameAmount(next.order.traded_amount, response.order.traded_amount)) {
+        settings.onProgress(next.order, response.order);
+      }
+
+      return poll(next);
+    })
+  };
+
+  return Promise.resolve(order).then(poll)
 };
 
-Client.prototype.getOrdersRaw = function (marketId, page, callback) {
-  // Requires auth
-  let path = '/markets/' + marketId + '/orders';
+Client.prototype.pollOrders = function (orders, marketId, state, options, callback) {
+  // Adds the remaining pages to `orders`, the first page of a market. They
+  // are fetched `concurrency` (4 by default) at a time
+  const call = callArguments(arguments, 3);
+  const operation = new Operation(call.options, this.timeout);
 
-  if (this.secret === '') {
-    let err = {};
-    responseHandler.invalidRequest(err, 'InvalidRequest:ApiKeyRequired', null);
-    return callback(err.json, null)
-  }
+  const pages = this._getOrderPages(orders, marketId, state, operation.child(), call.options.concurrency || 4);
 
-  if (page) {
-    path += '?page=' + page
-  }
+  return nodeify(operation.run(pages), call.callback)
+};
 
-  http
-  .get(this._getFullUrl(path))
-  .set(this._getAuthHeaders('GET', path))
-  .end(function (error, response) {
-    if (error) {
-      responseHandler.errorSet(error, error.response.error);
-      return callback(error.json, null)
-    }
-    responseHandler.success(response, response.body);
-    callback(null, response.json)
-  })
+Client.prototype.pollOrderState = function (order, status, options, callback) {
+  // Polls the order until it reaches `status`. Polls are `interval` ms
+  // apart, multiplied by `backoff` after each one up to `maxInterval`. Fails
+  // with a `SurbtcOrderStateError` when the order reaches one of
+  // `terminalStates` instead, or after `maxAttempts` polls or `maxDuration`
+  // ms. `onProgress(order, previous)` is called when its traded amount changes
+  const call = callArguments(arguments, 2);
+  const operation = new Operation(call.options, this.timeout);
+
+  return nodeify(operation.run(this._getOrderState(order, status, operation, call.options)), call.callback)
 };
 
-Client.prototype.getOrders = function (marketId, callback) {
-  const self = this;
+Client.prototype.getOrders = function (marketId, options, callback) {
+  const call = callArguments(arguments, 1);
 
-  async.waterfall([
-    function (next) {
-      self.getOrdersRaw(marketId, 0, next)
-    },
-    function (orders, next) {
-      self.pollOrders(orders, marketId, false, next)
-    }
-  ], callback)
+  return this.getOrdersByState(marketId, false, call.options, call.callback)
 };
 
-Client.prototype.getOrdersByState = function (marketId, state, callback) {
+Client.prototype.getOrdersByState = function (marketId, state, options, callback) {
   const self = this;
+  const call = callArguments(arguments, 2);
+  const operation = new Operation(call.options, self.timeout);
+  const child = operation.child();
 
-  async.waterfall([
-    function (next) {
-      self.getOrdersRaw(marketId, 0, next)
-    },
-    function (orders, next) {
-      self.pollOrders(orders, marketId, state, next)
-    }
-  ], callback)
+  const orders = self.getOrdersRaw(marketId, 0, child).then(function (orders) {
+    return self.pollOrders(orders, marketId, state, _.assign({concurrency: call.options.concurrency}, child))
+  });
+
+  return nodeify(operation.run(orders), call.callback)
 };
 
-Client.prototype.getOrderId = function (orderId, callback) {
-  // Requires auth
-  const path = '/orders/' + orderId;
+Client.prototype.createAndTradeOrder = function (marketId, order, options, callback) {
+  // Creates the order and waits until it is traded. With a `policy` (see
+  // `lib/execution.js`) it is canceled or repriced when it does not trade in
+  // time, and resolves with a report of what was traded
+  const self = this;
+  const call = callArguments(arguments, 2);
+  const operation = new Operation(call.options, self.timeout);
+  const poll = _.assign(_.pick(call.options, POLL_OPTIONS), operation.child());
 
-  if (this.secret === '') {
-    var err = {}
-    responseHandler.invalidRequest(err, 'InvalidRequest:ApiKeyRequired', null)
-    return callback(err.json, null)
+  if (call.options.policy) {
+    return nodeify(operation.run(execution.execute(self, marketId, order, call.options, poll)), call.callback)
   }
 
-  http
-  .get(this._getFullUrl(path))
-  .set(this._getAuthHeaders('GET', path))
-  .end(function (error, response) {
-    if (error) {
-      responseHandler.errorSet(error, error.response.error)
-      return callback(error.json, null)
-    }
-    responseHandler.success(response, response.body);
-    callback(null, response.json)
-  })
-}
+  const traded = self.createOrder(marketId, order, poll).then(function (createdOrder) {
+    return self.pollOrderState(createdOrder, 'traded', poll)
+  });
 
-Client.prototype.cancelOrderId = function (orderId, callback) {
-  // Requires auth
-  const path = '/orders/' + orderId;
+  return nodeify(operation.run(traded), call.callback)
+};
 
-  if (this.secret === '') {
-    let err = {};
-    responseHandler.invalidRequest(err, 'InvalidRequest:ApiKeyRequired', null)
-    return callback(err.json, null)
-  }
+Client.prototype.iterateOrders = function (marketId, filter, options) {
+  // Returns an async iterator over the orders of a market, see
+  // `lib/paginator.js`. `state` is filtered by the api, the dates of
+  // `since` and `until` (see `lib/order_filter.js`) by the client
+  const self = this;
 
-  let data = { state: 'canceling' };
+  filter = filter || {};
+  options = options || {};
 
-  http
-  .put(this._getFullUrl(path))
-  .set(this._getAuthHeaders('PUT', path, data))
-  .send(data)
-  .end(function (error, response) {
-    if (error) {
-      responseHandler.errorSet(error, error.response.error)
-      return callback(error.json, null)
-    }
-    responseHandler.success(response, response.body);
-    if (response.json.order.state !== 'canceling' && response.json.order.state !== 'canceled') {
-      response.json.success = false;
-      response.json.error_type = 'order_not_valid_for_canceling';
-      return callback(response.json, null);
+  return new Paginator(function (page) {
+    return self.getOrdersPage(marketId, {page: page, per: options.per, state: filter.state || undefined}, _.omit(options, 'per'));
+  }, {
+    items:  'orders',
+    filter: function (order) {
+      return orderFilter.matches(order, filter);
     }
-    callback(null, response.json);
   })
-}
+};
 
-Client.prototype.createAndTradeOrder = function (marketId, order, callback) {
+Client.prototype.cancelAllOrders = function (marketId, filter, options, callback) {
+  // Cancels the pending orders of a market matching `filter`, see
+  // `lib/order_filter.js`. Cancels run `concurrency` (5 by default) at a
+  // time, and go through the rate limiter like any request. Resolves with
+  // the orders canceled, the ones already traded and the ones that failed
   const self = this;
+  const call = callArguments(arguments, 2);
+  const operation = new Operation(call.options, self.timeout);
+  const child = operation.child();
+  const concurrency = call.options.concurrency || 5;
+  const report = {success: true, canceled: [], traded: [], failed: []};
+
+  const canceled = self.getOrdersByState(marketId, 'pending', child).then(function (response) {
+    const now = Date.now();
+    const orders = _.filter(response.orders, function (order) {
+      return orderFilter.matches(order, call.args[1], now);
+    });
+
+    return mapLimit(orders, concurrency, function (order) {
+      return self.cancelOrderId(order.id, child).then(function (response) {
+        report.canceled.push(response.order);
+      }, function (error) {
+        // Orders traded since they were listed fail the cancelOrderId check
+        if (error.error_type === 'order_not_valid_for_canceling' && error.order && error.order.state === 'traded') {
+          return report.traded.push(error.order);
+        }
+        if (operation.aborted()) {
+          throw error;
+        }
+
+        report.success = false;
+        report.failed.push({order: order, error: error});
+      })
+    })
+  }).then(function () {
+    return report;
+  });
 
-  async.waterfall([
-    function (next) {
-      self.createOrder(marketId, order, next)
-    },
-    function (createdOrder, next) {
-      self.pollOrderState(createdOrder, 'traded', next)
-    }
-  ], callback)
+  return nodeify(operation.run(canceled), call.callback)
 };
 
-Client.prototype.registerBankAccount = function (opts, callback) {
-  const currency = _.toUpper(opts.bank_currency);
-  const path = '/fiat_accounts/' + currency;
-
-  // get bank id
-  const bankId = _.find(colombiaBanks, {name: opts.bank_name}).id;
-
-  const surbtcOpts = {
-    email:           opts.email,
-    phone:           opts.phone,
-    document_number: opts.bank_account_holder_id,
-    full_name:       opts.bank_account_holder_name,
-    account_number:  opts.bank_account_number,
-    account_type:    opts.bank_account_type,
-    bank_id:         bankId
-  };
+function sameAmount(amount, previous) {
+  // Traded amounts are Money, or tuples and numbers in orders that were
+  // not parsed by the client
+  amount = Money.parse(amount);
+  previous = Money.parse(previous);
 
-  // Requires auth
-  if (this.secret === '') {
-    let err = {};
-    responseHandler.invalidRequest(err, 'InvalidRequest:ApiKeyRequired', null);
-    return callback(err.json, null);
+  if (Money.isMoney(amount) && Money.isMoney(previous)) {
+    return amount.equals(previous);
   }
 
-  http
-  .put(this._getFullUrl(path))
-  .set(this._getAuthHeaders('PUT', path, surbtcOpts))
-  .send(surbtcOpts)
-  .end(function (error, response) {
-    if (error) {
-      responseHandler.errorSet(error, error.response.error);
-      return callback(error.json, null)
-    }
-    responseHandler.success(response, response.body)
-    callback(null, response.json)
-  })
-};
+  return _.isEqual(amount, previous);
+}
 
-Client.prototype.requestWithdrawal = function (opts, callback) {
-  const path = '/withdrawals';
+function callArguments(args, count) {
+  // Splits `(arg1, ..., argN, [options], [callback])`, optional
+  // arguments left out before the callback are undefined
+  args = Array.prototype.slice.call(args);
 
-  opts.currency = _.toUpper(opts.currency);
+  const callback = _.isFunction(_.last(args)) ? args.pop() : null;
 
-  const withdrawalOpts = {
-    withdrawal_data: {},
-    amount: 0,
-    currency: opts.currency
+  return {
+    args:     _.slice(args, 0, count),
+    options:  args[count] || {},
+    callback: callback
   }
+}
 
-  if (opts.currency === 'BTC') {
-    // validate target address
-    if ((this.api.indexOf('stg') > 0 && !bitcoinAddress.validate(opts.target_address, 'testnet')) ||
-       (this.api.indexOf('stg') < 0 && !bitcoinAddress.validate(opts.target_address, 'prod'))) {
-      let err1 = {};
-      responseHandler.invalidRequest(err1, 'InvalidRequest:InvalidBitcoinAddress', null);
-      return callback(err1.json, null);
-    } else {
-      withdrawalOpts.withdrawal_data.target_address = opts.target_address;
-    }
+function parseResponse(response) {
+  // Parses JSON bodies. A body that cannot be parsed fails like a
+  // transport error, with the raw body and status code attached
+  const type = response.headers['content-type'] || '';
 
-    // BTC to satoshis
-    withdrawalOpts.amount = opts.amount.toSatoshi();
-  } else if (opts.currency === 'CLP' || opts.currency === 'COP') {
-    withdrawalOpts.amount = opts.amount * 100
+  if (!response.text || !/json/.test(type)) {
+    return response;
   }
 
-  // Requires auth
-  if (this.secret === '') {
-    let err = {};
-    responseHandler.invalidRequest(err, 'InvalidRequest:ApiKeyRequired', null);
-    return callback(err.json, null)
+  try {
+    response.body = JSON.parse(response.text);
+  } catch (err) {
+    const error = new SyntaxError(err.message);
+
+    error.rawResponse = response.text;
+    error.statusCode = response.status;
+    throw error;
   }
 
-  http
-  .post(this._getFullUrl(path))
-  .set(this._getAuthHeaders('POST', path, withdrawalOpts))
-  .send(withdrawalOpts)
-  .end(function (error, response) {
-    if (error) {
-      responseHandler.errorSet(error, error.response.error);
-      return callback(error.json, null);
+  return response;
+}
+
+function isContentType(header) {
+  return _.toLower(header) === 'content-type';
+}
+
+function buildPath(template, params) {
+  // Fills `:name` segments, dropping the ones without a value
+  return template.replace(/\/:(\w+)/g, function (segment, name) {
+    const value = params[name];
+
+    if (value === undefined || value === null || value === '') {
+      return '';
     }
-    responseHandler.success(response, response.body);
-    callback(null, response.json);
+    return '/' + encodeURIComponent(value);
   })
 }
 
-Client.prototype.registerDeposit = function (opts, callback) {
-  const path = '/deposits';
-
-  const depositOpts = {
-    amount: opts.amount * 100,
-    currency: _.toUpper(opts.currency)
-  };
+function buildQuery(query) {
+  // Sorted by key so the same values always give the same query string,
+  // which is then used for both the request and its signature
+  const keys = _.sortBy(_.keys(_.omitBy(query, _.isNil)));
 
-  // Requires auth
-  if (this.secret === '') {
-    let err = {};
-    responseHandler.invalidRequest(err, 'InvalidRequest:ApiKeyRequired', null);
-    return callback(err.json, null)
+  if (_.isEmpty(keys)) {
+    return '';
   }
 
-  http
-  .post(this._getFullUrl(path))
-  .set(this._getAuthHeaders('POST', path, depositOpts))
-  .send(depositOpts)
-  .end(function (error, response) {
-    if (error) {
-      responseHandler.errorSet(error, error.response.error);
-      return callback(error.json, null)
-    }
-    responseHandler.success(response, response.body);
-    callback(null, response.json)
-  })
-};
+  return '?' + _.map(keys, function (key) {
+    return qs.stringify(_.pick(query, key));
+  }).join('&')
+}
+
+Client.errors          = errors;
+Client.transports      = transports;
+Client.RateLimiter     = RateLimiter;
+Client.NonceGenerator  = NonceGenerator;
+Client.Credentials     = Credentials;
+Client.AccountManager  = AccountManager;
+Client.Paginator       = Paginator;
+Client.ExecutionPolicy = execution.Policy;
+Client.EmulatedOrder   = EmulatedOrder;
+Client.environments    = environments.profiles;
+Client.Money           = Money;
+Client.currencies      = currencies;
 
 module.exports = Client;
@@ -0,0 +1,48 @@
+/**
+ * Abort controller
+ * The global `AbortController`, or a minimal one where Node lacks it
+ *
+ * Node only has `AbortController` since version 15, and signals only keep
+ * the `reason` they were aborted with since 17.2. The fallback covers
+ * what the client uses of it: `abort(reason)`, and a signal with `aborted`,
+ * `reason` and `addEventListener`/`removeEventListener` for `abort`.
+ * Transports that take a native signal (`fetch`) need Node 18 anyway.
+ */
+
+'use strict'
+
+const events = require('events')
+
+function AbortSignal () {
+  this.aborted = false
+  this.reason = undefined
+  this.emitter = new events.EventEmitter()
+}
+
+AbortSignal.prototype.addEventListener = function (type, listener) {
+  this.emitter.on(type, listener)
+}
+
+AbortSignal.prototype.removeEventListener = function (type, listener) {
+  this.emitter.removeListener(type, listener)
+}
+
+function AbortController () {
+  this.signal = new AbortSignal()
+}
+
+AbortController.prototype.abort = function (reason) {
+  const signal = this.signal
+
+  if (signal.aborted) {
+    return
+  }
+
+  signal.aborted = true
+  signal.reason = reason === undefined ? new Error('This operation was aborted') : reason
+  signal.emitter.emit('abort', {type: 'abort', target: signal})
+}
+
+const native = typeof global.AbortController === 'function' && 'reason' in global.AbortSignal.prototype
+
+module.exports = native ? global.AbortController : AbortController
@@ -0,0 +1,166 @@
+/**
+ * Account manager
+ * Clients for several exchange accounts, addressed by name
+ *
+ * Every account gets its own client, built from the shared `defaults`
+ * options and its own ones (key, secret, api...). Calls are routed with
+ * `account(name)`, and `all(method, args...)` runs the same call on every
+ * account at once:
+ *
+ *   manager.all('getOrdersByState', 'btc-clp', 'pending')
+ *
+ * resolves with the responses and errors keyed by account name, a failing
+ * account does not fail the others:
+ *
+ *   {
+ *     success: false,            // whether every account succeeded
+ *     results: {chile: response},
+ *     errors: {colombia: error}
+ *   }
+ *
+ *
+ * Options
+ *
+ * defaults  - client options shared by every account
+ * accounts  - client options, or clients, by account name
+ */
+
+'use strict'
+
+const _ = require('lodash')
+
+const errors = require('./errors')
+const nodeify = require('./promise').nodeify
+
+function AccountManager (options) {
+  const self = this
+
+  options = options || {}
+
+  this.defaults = options.defaults || {}
+  this.clients = {}
+
+  _.each(options.accounts, function (account, name) {
+    self.add(name, account)
+  })
+}
+
+/**
+ * Register an account
+ *
+ * @param name    - name of the account
+ * @param account - client options, merged over the defaults, or a client
+ * @return client of the account
+ */
+AccountManager.prototype.add = function (name, account) {
+  // Required here, the client module exposes this one
+  const Client = require('../')
+
+  this.clients[name] = account instanceof Client
+    ? account
+    : new Client(_.assign({}, this.defaults, account))
+
+  return this.clients[name]
+}
+
+/**
+ * Unregister an account
+ *
+ * @param name - name of the account
+ */
+AccountManager.prototype.remove = function (name) {
+  delete this.clients[name]
+}
+
+/**
+ * Names of the registered accounts, in registration order
+ */
+AccountManager.prototype.names = function () {
+  return _.keys(this.clients)
+}
+
+/**
+ * Client of an account
+ *
+ * @param name - name of the account
+ */
+AccountManager.prototype.account = function (name) {
+  if (!_.has(this.clients, name)) {
+    throw new errors.SurbtcValidationError('InvalidRequest:UnknownAccount', {statusCode: 400})
+  }
+
+  return this.clients[name]
+}
+
+/**
+ * Run a client method on every account
+ *
+ * @param method   - name of the client method, e.g. `getBalances`
+ * @param args     - arguments of the method, options included
+ * @param callback - (optional) `(error, result)` callback, error is only
+ *                   set for unknown methods
+ */
+AccountManager.prototype.all = function (method) {
+  const self = this
+  const args = _.slice(arguments, 1)
+  const callback = _.isFunction(_.last(args)) ? args.pop() : undefined
+
+  const names = self.names()
+  const promise = new Promise(function (resolve) {
+    if (names.length && !_.isFunction(self.clients[names[0]][method])) {
+      throw new errors.SurbtcValidationError('InvalidRequest:UnknownMethod', {statusCode: 400})
+    }
+
+    resolve(Promise.all(_.map(names, function (name) {
+      const client = self.clients[name]
+
+      return Promise.resolve().then(function () {
+        return client[method].apply(client, args)
+      }).then(function (response) {
+        return {response: response}
+      }, function (error) {
+        return {error: error}
+      })
+    })))
+  }).then(function (outcomes) {
+    const result = {success: true, results: {}, errors: {}}
+
+    _.each(outcomes, function (outcome, index) {
+      if (outcome.error) {
+        result.success = false
+        result.errors[names[index]] = outcome.error
+      } else {
+        result.results[names[index]] = outcome.response
+      }
+    })
+
+    return result
+  })
+
+  return nodeify(promise, callback)
+}
+
+/**
+ * Balances of every account
+ *
+ * @param currency - currency of the balances
+ * @param options  - (optional) options of the calls
+ * @param callback - (optional) `(error, result)` callback
+ */
+AccountManager.prototype.getBalances = function (currency, options, callback) {
+  return this.all.apply(this, _.concat(['getBalances'], _.slice(arguments)))
+}
+
+/**
+ * Orders of every account in a market
+ *
+ * @param marketId - id of the market, e.g. `btc-clp`
+ * @param state    - state of the orders, e.g. `pending`
+ * @param options  - (optional) options of the calls
+ * @param callback - (optional) `(error, result)` callback
+ */
+AccountManager.prototype.getOrdersByState = function (marketId, state, options, callback) {
+  return this.all.apply(this, _.concat(['getOrdersByState'], _.slice(arguments)))
+}
+
+module.exports = AccountManager
@@ -0,0 +1,205 @@
+/**
+ * Credentials
+ * Api key and secret used to sign requests, read from a provider
+ *
+ * A provider is any object with a `get()` method returning `{key, secret}`,
+ * or a promise of it. Built-in providers:
+ *
+ * StaticProvider    - fixed key and secret, what the `key` and `secret`
+ *                     options of the client use
+ * EnvProvider       - environment variables, `SURBTC_API_KEY` and
+ *                     `SURBTC_API_SECRET` by default
+ * FileProvider      - JSON or INI file
+ * CallbackProvider  - function returning the credentials or a promise of them,
+ *                     e.g. reading them from a secrets manager
+ *
+ * The client keeps the last credentials read, and reads them again when they
+ * are rotated or after a request fails with 401, so a key can be replaced
+ * without restarting the process.
+ */
+
+'use strict'
+
+const fs = require('fs')
+const path = require('path')
+const _ = require('lodash')
+
+/**
+ * @param credentials - {key, secret}
+ */
+function StaticProvider (credentials) {
+  this.credentials = _.pick(credentials || {}, ['key', 'secret'])
+}
+
+StaticProvider.prototype.get = function () {
+  return this.credentials
+}
+
+/**
+ * @param options - (optional) names of the `key` and `secret` variables
+ */
+function EnvProvider (options) {
+  options = options || {}
+
+  this.key = options.key || 'SURBTC_API_KEY'
+  this.secret = options.secret || 'SURBTC_API_SECRET'
+}
+
+EnvProvider.prototype.get = function () {
+  return {
+    key: process.env[this.key],
+    secret: process.env[this.secret]
+  }
+}
+
+/**
+ * Reads `key` and `secret` from a JSON object, or from `key = ...` and
+ * `secret = ...` lines of an INI file. Files ending in `.json` are parsed as
+ * JSON, any other as INI.
+ *
+ * @param options - path of the file, and (optional) profile, the JSON
+ *                  property or INI section holding the credentials
+ */
+function FileProvider (options) {
+  options = _.isString(options) ? {path: options} : options
+
+  this.path = options.path
+  this.profile = options.profile
+}
+
+FileProvider.prototype.get = function () {
+  const self = this
+
+  return new Promise(function (resolve, reject) {
+    fs.readFile(self.path, 'utf8', function (error, content) {
+      if (error) {
+        return reject(error)
+      }
+
+      try {
+        const parsed = path.extname(self.path) === '.json' ? JSON.parse(content) : parseIni(content)
+
+        resolve(_.pick(self.profile ? parsed[self.profile] : parsed, ['key', 'secret']))
+      } catch (err) {
+        reject(err)
+      }
+    })
+  })
+}
+
+/**
+ * @param callback - function returning {key, secret} or a promise of them
+ */
+function CallbackProvider (callback) {
+  this.callback = callback
+}
+
+CallbackProvider.prototype.get = function () {
+  return this.callback()
+}
+
+/**
+ * Credentials of a client, as last read from its provider
+ *
+ * @param provider - provider object, callback for a CallbackProvider or
+ *                   {key, secret} for a StaticProvider
+ */
+function Credentials (provider) {
+  this.provider = toProvider(provider)
+  this.loaded = null
+
+  // Static credentials are known right away
+  this.current = this.provider instanceof StaticProvider ? this.provider.get() : {}
+}
+
+/**
+ * Resolves with the credentials, read from the provider the first time
+ *
+ * @param refresh - (optional) read them again from the provider
+ */
+Credentials.prototype.get = function (refresh) {
+  const self = this
+
+  if (!self.loaded || refresh) {
+    const loading = Promise.resolve().then(function () {
+      return self.provider.get()
+    }).then(function (credentials) {
+      self.current = _.pick(credentials || {}, ['key', 'secret'])
+      return self.current
+    })
+
+    // A failed read is attempted again by the next request
+    self.loaded = loading.catch(function (error) {
+      if (self.loaded === loading) {
+        self.loaded = null
+      }
+      throw error
+    })
+  }
+
+  return self.loaded
+}
+
+/**
+ * Read the credentials from the provider again, or from a new provider
+ *
+ * @param provider - (optional) provider replacing the current one, in any
+ *                   form taken by the constructor
+ */
+Credentials.prototype.refresh = function (provider) {
+  if (provider) {
+    this.provider = toProvider(provider)
+  }
+
+  return this.get(true)
+}
+
+/**
+ * Whether the last credentials read can sign requests
+ */
+Credentials.prototype.complete = function () {
+  return !!(this.current.key && this.current.secret)
+}
+
+function toProvider (provider) {
+  if (_.isFunction(provider)) {
+    return new CallbackProvider(provider)
+  }
+
+  return provider && _.isFunction(provider.get) ? provider : new StaticProvider(provider)
+}
+
+function parseIni (content) {
+  const parsed = {}
+  let section = parsed
+
+  _.each(content.split(/\r?\n/), function (line) {
+    line = _.trim(line)
+
+    if (!line || line[0] === ';' || line[0] === '#') {
+      return
+    }
+
+    const header = /^\[(.+)\]$/.exec(line)
+
+    if (header) {
+      section = parsed[_.trim(header[1])] = {}
+      return
+    }
+
+    const index = line.indexOf('=')
+
+    if (index > 0) {
+      section[_.trim(line.slice(0, index))] = _.trim(line.slice(index + 1)).replace(/^(["'])(.*)\1$/, '$2')
+    }
+  })
+
+  return parsed
+}
+
+Credentials.StaticProvider = StaticProvider
+Credentials.EnvProvider = EnvProvider
+Credentials.FileProvider = FileProvider
+Credentials.CallbackProvider = CallbackProvider
+
+module.exports = Credentials
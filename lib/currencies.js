@@ -0,0 +1,95 @@
+/**
+ * Currencies
+ * Registry of the currencies the client knows how to move
+ *
+ * Deposits and withdrawals send amounts in minor units (satoshis, cents...)
+ * and validate crypto addresses from the entry of their currency. A
+ * currency missing here fails with `InvalidRequest:UnknownCurrency`.
+ *
+ *
+ * Entry properties
+ *
+ * code           - currency code, upper case
+ * type           - `crypto` or `fiat`
+ * decimals       - decimals of the amounts, the api takes amounts in units
+ *                  of 10 ^ -decimals
+ * factor         - minor units per unit, 10 ^ decimals
+ * addressFormat  - (crypto) format of the withdrawal addresses:
+ *                  `base58check` (validated for the environment network),
+ *                  `hex` (0x and 40 hex digits) or `any`
+ * network        - (crypto) blockchain the currency lives on
+ */
+
+'use strict'
+
+const _ = require('lodash')
+
+const errors = require('./errors')
+
+const definitions = {}
+
+/**
+ * Add a currency, or replace the entry of a known one
+ *
+ * @param currency - entry, `factor` is derived from `decimals`
+ */
+function register (currency) {
+  const code = _.toUpper(currency.code)
+
+  definitions[code] = Object.freeze(_.assign({}, currency, {
+    code: code,
+    factor: Math.pow(10, currency.decimals)
+  }))
+
+  return definitions[code]
+}
+
+/**
+ * Entry of a currency
+ *
+ * @param code - currency code, in any case
+ */
+function get (code) {
+  const currency = definitions[_.toUpper(code)]
+
+  if (!currency) {
+    throw new errors.SurbtcValidationError('InvalidRequest:UnknownCurrency', {statusCode: 400})
+  }
+
+  return currency
+}
+
+/**
+ * Whether a currency is registered
+ *
+ * @param code - currency code, in any case
+ */
+function has (code) {
+  return _.has(definitions, _.toUpper(code))
+}
+
+/**
+ * Entries of every registered currency
+ */
+function list () {
+  return _.values(definitions)
+}
+
+_.each([
+  {code: 'BTC', type: 'crypto', decimals: 8, addressFormat: 'base58check', network: 'bitcoin'},
+  {code: 'BCH', type: 'crypto', decimals: 8, addressFormat: 'any', network: 'bitcoin-cash'},
+  {code: 'LTC', type: 'crypto', decimals: 8, addressFormat: 'any', network: 'litecoin'},
+  {code: 'ETH', type: 'crypto', decimals: 9, addressFormat: 'hex', network: 'ethereum'},
+  {code: 'USDC', type: 'crypto', decimals: 6, addressFormat: 'hex', network: 'ethereum'},
+  {code: 'CLP', type: 'fiat', decimals: 2},
+  {code: 'COP', type: 'fiat', decimals: 2},
+  {code: 'PEN', type: 'fiat', decimals: 2},
+  {code: 'ARS', type: 'fiat', decimals: 2}
+], register)
+
+module.exports = {
+  register: register,
+  get: get,
+  has: has,
+  list: list
+}
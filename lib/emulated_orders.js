@@ -0,0 +1,308 @@
+/**
+ * Emulated orders
+ * Trailing-stop and take-profit orders the exchange does not offer, run by
+ * the client
+ *
+ * An emulated order polls the order book of its market and creates a real
+ * order once its condition is met. The price watched is the best price the
+ * order would trade at: the best bid for asks (sells), the best ask for bids
+ * (buys).
+ *
+ * trailing_stop  - follows the best price while it moves in the order's
+ *                  favour and triggers when it moves back by `trail`, a
+ *                  `{percent}` or an `{amount}` of the quote currency
+ * take_profit    - triggers when the best price reaches `target`: at or
+ *                  above it for asks, at or below it for bids
+ *
+ * Lifecycle states:
+ *
+ * watching   - polling the order book
+ * triggered  - the condition was met, the real order is being created
+ * placed     - the real order was created, see `order`
+ * canceled   - canceled before it was placed, or its real order canceled
+ * failed     - the real order could not be created, see `error`
+ *
+ * Every change emits a `state` event, and an event named after the new
+ * state. Emulated orders have their own ids and are canceled with
+ * `cancelOrderId` like any other order until they are placed, the real
+ * order is canceled with its id from then on.
+ *
+ *
+ * Options
+ *
+ * type      - `bid` or `ask`
+ * amount    - amount of the real order
+ * limit     - (optional) limit price of the real order, a market order is
+ *             created without it. The real order is built with the order
+ *             builder, rounded to the market like any other
+ * trail     - (trailing_stop) `{percent}` or `{amount}`
+ * target    - (take_profit) price to take profit at
+ * interval  - milliseconds between order book polls, 5000 by default
+ */
+
+'use strict'
+
+const events = require('events')
+const util = require('util')
+const _ = require('lodash')
+const uuid = require('uuid')
+
+const errors = require('./errors')
+const Money = require('./money')
+const Operation = require('./operation')
+
+const State = {
+  watching: 'watching',
+  triggered: 'triggered',
+  placed: 'placed',
+  canceled: 'canceled',
+  failed: 'failed'
+}
+
+const Kind = {
+  trailingStop: 'trailing_stop',
+  takeProfit: 'take_profit'
+}
+
+/**
+ * @param client   - client polling the order book and creating the order
+ * @param kind     - one of `Kind`
+ * @param marketId - market of the order
+ * @param options  - see above
+ */
+function EmulatedOrder (client, kind, marketId, options) {
+  events.EventEmitter.call(this)
+
+  this.id = 'emulated-' + uuid.v4()
+  this.kind = kind
+  this.client = client
+  this.marketId = marketId
+  this.type = options.type
+  this.amount = options.amount
+  this.limit = options.limit
+  this.trail = options.trail
+  this.target = options.target
+  this.interval = options.interval || 5000
+  this.state = State.watching
+  this.best = null
+  this.triggerPrice = null
+  this.order = null
+  this.error = null
+  this.operation = new Operation({signal: options.signal}, {})
+
+  const self = this
+
+  // Settles once the order reaches a final state, never rejects
+  this.done = new Promise(function (resolve) {
+    self.once('settled', resolve)
+  })
+}
+
+util.inherits(EmulatedOrder, events.EventEmitter)
+
+EmulatedOrder.State = State
+EmulatedOrder.Kind = Kind
+
+/**
+ * Validate the options and start polling
+ *
+ * @param market - (optional) catalog entry of the market
+ */
+EmulatedOrder.prototype.start = function (market) {
+  const problems = validate(this)
+
+  if (!_.isEmpty(problems)) {
+    throw new errors.SurbtcValidationError('InvalidRequest:InvalidOrder', {statusCode: 400, errors: problems})
+  }
+
+  // Prices are plain decimals when the market is not known
+  this.currency = market ? market.quoteCurrency : null
+  this._poll()
+
+  return this
+}
+
+/**
+ * Cancel the order, and its real order once placed. Resolves like
+ * `cancelOrderId`.
+ */
+EmulatedOrder.prototype.cancel = function () {
+  const self = this
+
+  if (self.state === State.watching) {
+    self.operation.abort(new errors.SurbtcAbortError('The order was canceled'))
+    self._setState(State.canceled)
+    return Promise.resolve(self._response())
+  }
+
+  if (self.state === State.triggered) {
+    return self.done.then(function () {
+      return self.cancel()
+    })
+  }
+
+  if (self.state === State.placed) {
+    return self.client.cancelOrderId(self.order.id).then(function (response) {
+      self.order = response.order
+      self._setState(State.canceled)
+      return self._response()
+    })
+  }
+
+  return Promise.reject(new errors.SurbtcValidationError('Order is not valid for canceling', {
+    statusCode: 400,
+    errorType: 'order_not_valid_for_canceling'
+  }))
+}
+
+/**
+ * Plain description of the order, as found in `cancelOrderId` responses
+ */
+EmulatedOrder.prototype.toJSON = function () {
+  return {
+    id: this.id,
+    kind: this.kind,
+    market_id: this.marketId,
+    type: this.type,
+    state: this.state,
+    amount: this.amount,
+    limit: this.limit,
+    trail: this.trail,
+    target: this.target,
+    trigger_price: this.triggerPrice,
+    order: this.order
+  }
+}
+
+EmulatedOrder.prototype._response = function () {
+  return {success: true, statusCode: 200, order: this.toJSON()}
+}
+
+EmulatedOrder.prototype._setState = function (state) {
+  this.state = state
+  this.emit('state', state, this)
+  this.emit(state, this)
+
+  if (state !== State.watching && state !== State.triggered) {
+    this.operation.finish()
+    this.emit('settled', this)
+  }
+}
+
+EmulatedOrder.prototype._poll = function () {
+  const self = this
+
+  self.client.getOrderBook(self.marketId, self.operation.child()).then(function (response) {
+    return self._observe(response.order_book)
+  }, function (error) {
+    // A failed poll is tried again on the next interval
+    self.lastError = error
+  }).then(function () {
+    if (self.state === State.watching) {
+      return self.operation.delay(self.interval).then(function () {
+        self._poll()
+      })
+    }
+  }).catch(_.noop)
+}
+
+EmulatedOrder.prototype._observe = function (orderBook) {
+  const entries = this.type === 'ask' ? orderBook.bids : orderBook.asks
+
+  if (this.state !== State.watching || _.isEmpty(entries)) {
+    return
+  }
+
+  const price = Money.of(entries[0][0], this.currency)
+
+  if (this.kind === Kind.trailingStop ? this._trails(price) : this._reaches(price)) {
+    this.triggerPrice = price
+    return this._trigger()
+  }
+}
+
+// Whether the price moved back from the best seen by more than the trail
+EmulatedOrder.prototype._trails = function (price) {
+  const favourable = this.type === 'ask' ? 1 : -1
+
+  if (!this.best || price.compare(this.best) === favourable) {
+    this.best = price
+    return false
+  }
+
+  const distance = this.trail.percent !== undefined
+    ? this.best.times(this.trail.percent).dividedBy(100, 8)
+    : Money.of(this.trail.amount, this.currency)
+  const stop = this.type === 'ask' ? this.best.minus(distance) : this.best.plus(distance)
+
+  return price.compare(stop) !== favourable
+}
+
+// Whether the price reached the target
+EmulatedOrder.prototype._reaches = function (price) {
+  const comparison = price.compare(Money.of(this.target, this.currency))
+
+  return this.type === 'ask' ? comparison >= 0 : comparison <= 0
+}
+
+EmulatedOrder.prototype._trigger = function () {
+  const self = this
+  const builder = self.client.order(self.marketId).type(self.type).amount(self.amount).idempotencyKey(uuid.v4())
+
+  if (_.isNil(self.limit)) {
+    builder.market()
+  } else {
+    builder.limit(self.limit)
+  }
+
+  self._setState(State.triggered)
+
+  return builder.submit().then(function (response) {
+    self.order = response.order
+    self._setState(State.placed)
+  }, function (error) {
+    self.error = error
+    self._setState(State.failed)
+  })
+}
+
+function validate (order) {
+  const problems = {}
+  const add = function (field, problem) {
+    (problems[field] = problems[field] || []).push(problem)
+  }
+  const positive = function (field, value) {
+    try {
+      if (Money.decimal(value).isPositive()) {
+        return
+      }
+    } catch (err) {}
+    add(field, 'must be a number greater than 0')
+  }
+
+  if (order.type !== 'bid' && order.type !== 'ask') {
+    add('type', 'must be one of bid, ask')
+  }
+
+  positive('amount', order.amount)
+
+  if (!_.isNil(order.limit)) {
+    positive('limit', order.limit)
+  }
+
+  if (order.kind === Kind.trailingStop) {
+    if (order.trail && order.trail.percent !== undefined) {
+      positive('trail', order.trail.percent)
+    } else if (order.trail && order.trail.amount !== undefined) {
+      positive('trail', order.trail.amount)
+    } else {
+      add('trail', 'must have a percent or an amount')
+    }
+  } else {
+    positive('target', order.target)
+  }
+
+  return problems
+}
+
+module.exports = EmulatedOrder
@@ -0,0 +1,326 @@
+/**
+ * Endpoint definitions
+ * Every request method of the client is generated from an entry in this table
+ *
+ * Adding an exchange endpoint means adding an entry here. The request engine
+ * (`Client.prototype._request`) takes care of auth, signing and response
+ * handling the same way for every endpoint.
+ *
+ *
+ * Entry properties
+ *
+ * method  - HTTP method, one of GET, POST, PUT, PATCH or DELETE
+ * path    - path template, `:name` segments are filled in from the params
+ *           and dropped when the param is not given
+ * auth    - the request must be signed with the client api key and secret
+ * args    - names of the positional arguments taken by the client method,
+ *           they become the params handed to the mapping functions below
+ * params  - (optional) function (params) returning derived params
+ * query   - (optional) function (params) returning the query string values,
+ *           empty values are left out and the rest is sorted by key
+ * body    - (optional) function (params, client) returning the request body
+ * check   - (optional) function (json, endpoint) run on successful
+ *           responses, throws the error to fail the request with
+ * idempotencyKey - (optional) function (params) returning the idempotency
+ *           key of the request. GET requests are always retried on transient
+ *           failures, other methods only when they carry a key
+ * priority - (optional) rate limiter priority, see `RateLimiter.Priority`
+ * market  - (optional) the `marketId` param is a market, looked up in the
+ *           market catalog before the request is sent. The mapping
+ *           functions get its catalog entry as the `market` param
+ *
+ * Mapping functions throw the error the request should fail with, one of
+ * the classes in `errors.js`.
+ */
+
+'use strict'
+
+const _ = require('lodash')
+const bitcoinAddress = require('bitcoin-address')
+
+const errors = require('./errors')
+const Money = require('./money')
+const currencies = require('./currencies')
+const Priority = require('./rate_limiter').Priority
+const colombiaBanks = require('./banks').colombia
+
+module.exports = {
+  getMarkets: {
+    method: 'GET',
+    path: '/markets',
+    auth: false,
+    args: []
+  },
+
+  getBalances: {
+    method: 'GET',
+    path: '/balances/:currency',
+    auth: true,
+    args: ['currency']
+  },
+
+  getExchangeFee: {
+    method: 'GET',
+    path: '/markets/:marketId/fee_percentage',
+    auth: true,
+    market: true,
+    args: ['marketId', 'type', 'marketOrder'],
+    query: function (params) {
+      return {
+        type: _.capitalize(params.type),
+        market_order: params.marketOrder ? true : undefined
+      }
+    }
+  },
+
+  getOrderBook: {
+    method: 'GET',
+    path: '/markets/:marketId/order_book',
+    auth: false,
+    market: true,
+    args: ['marketId']
+  },
+
+  getQuotation: {
+    method: 'POST',
+    path: '/markets/:marketId/quotations',
+    auth: true,
+    market: true,
+    args: ['marketId', 'type', 'amount'],
+    body: function (params) {
+      return quotation(params, false)
+    }
+  },
+
+  getReverseQuotation: {
+    method: 'POST',
+    path: '/markets/:marketId/quotations',
+    auth: true,
+    market: true,
+    args: ['marketId', 'type', 'amount'],
+    body: function (params) {
+      return quotation(params, true)
+    }
+  },
+
+  createOrder: {
+    method: 'POST',
+    path: '/markets/:marketId/orders',
+    auth: true,
+    market: true,
+    args: ['marketId', 'order'],
+    body: function (params) {
+      return _.mapValues(_.omit(params.order, 'idempotency_key'), toNumber)
+    },
+    idempotencyKey: function (params) {
+      return params.order.idempotency_key
+    }
+  },
+
+  getOrdersRaw: {
+    method: 'GET',
+    path: '/markets/:marketId/orders',
+    auth: true,
+    market: true,
+    args: ['marketId', 'page'],
+    query: function (params) {
+      return {
+        page: params.page || undefined
+      }
+    }
+  },
+
+  getOrderId: {
+    method: 'GET',
+    path: '/orders/:orderId',
+    auth: true,
+    args: ['orderId']
+  },
+
+  // Page of orders with the filters the api applies, see `iterateOrders`
+  getOrdersPage: {
+    method: 'GET',
+    path: '/markets/:marketId/orders',
+    auth: true,
+    market: true,
+    args: ['marketId', 'query'],
+    query: function (params) {
+      return _.pick(params.query, ['page', 'per', 'state'])
+    }
+  },
+
+  cancelOrderId: {
+    method: 'PUT',
+    path: '/orders/:orderId',
+    auth: true,
+    args: ['orderId'],
+    priority: Priority.high,
+    body: function () {
+      return {state: 'canceling'}
+    },
+    check: function (json, endpoint) {
+      if (json.order.state !== 'canceling' && json.order.state !== 'canceled') {
+        const error = new errors.SurbtcValidationError('Order is not valid for canceling', {
+          statusCode: json.statusCode,
+          errorType: 'order_not_valid_for_canceling',
+          endpoint: endpoint,
+          body: json
+        })
+
+        error.order = json.order
+        throw error
+      }
+    }
+  },
+
+  registerBankAccount: {
+    method: 'PUT',
+    path: '/fiat_accounts/:currency',
+    auth: true,
+    args: ['opts'],
+    params: function (params) {
+      return {
+        currency: _.toUpper(params.opts.bank_currency)
+      }
+    },
+    body: function (params) {
+      const opts = params.opts
+      const bank = _.find(colombiaBanks, {name: opts.bank_name})
+
+      if (!bank) {
+        throw invalidRequest('InvalidRequest:UnknownBank')
+      }
+
+      return {
+        email: opts.email,
+        phone: opts.phone,
+        document_number: opts.bank_account_holder_id,
+        full_name: opts.bank_account_holder_name,
+        account_number: opts.bank_account_number,
+        account_type: opts.bank_account_type,
+        bank_id: bank.id
+      }
+    }
+  },
+
+  requestWithdrawal: {
+    method: 'POST',
+    path: '/withdrawals',
+    auth: true,
+    args: ['opts'],
+    body: function (params, client) {
+      const opts = params.opts
+      const amount = amountOf(opts)
+      const currency = amount.currency
+      const definition = currencies.get(currency)
+
+      const withdrawalOpts = {
+        withdrawal_data: {},
+        amount: minorUnitsOf(amount, definition.decimals),
+        currency: currency
+      }
+
+      const limits = client.environment.limits.withdrawals && client.environment.limits.withdrawals[currency]
+
+      if (limits && limits.min !== undefined && amount.compare(limits.min) < 0) {
+        throw invalidRequest('InvalidRequest:AmountBelowMinimum')
+      }
+      if (limits && limits.max !== undefined && amount.compare(limits.max) > 0) {
+        throw invalidRequest('InvalidRequest:AmountAboveMaximum')
+      }
+
+      if (definition.type === 'crypto') {
+        validateAddress(definition, opts.target_address, client.environment.networks[currency])
+        withdrawalOpts.withdrawal_data.target_address = opts.target_address
+      }
+
+      return withdrawalOpts
+    },
+    idempotencyKey: function (params) {
+      return params.opts.idempotency_key
+    }
+  },
+
+  registerDeposit: {
+    method: 'POST',
+    path: '/deposits',
+    auth: true,
+    args: ['opts'],
+    body: function (params) {
+      const amount = amountOf(params.opts)
+
+      return {
+        amount: minorUnitsOf(amount, currencies.get(amount.currency).decimals),
+        currency: amount.currency
+      }
+    }
+  }
+}
+
+function quotation (params, reverse) {
+  return {
+    quotation: {
+      type: _.lowerCase(params.type),
+      reverse: reverse,
+      amount: toNumber(params.amount)
+    }
+  }
+}
+
+/**
+ * Money of the `amount` of deposit and withdrawal options, in their
+ * `currency` unless the amount already is Money
+ */
+function amountOf (opts) {
+  return Money.of(opts.amount, opts.currency)
+}
+
+/**
+ * Exact minor units of a transfer amount. Amounts with more decimals than
+ * the currency has are rejected, rounding them would move a different amount
+ *
+ * @param amount   - Money to transfer
+ * @param decimals - decimals of its currency
+ */
+function minorUnitsOf (amount, decimals) {
+  if (!amount.round(decimals).equals(amount)) {
+    throw invalidRequest('InvalidRequest:InvalidAmount')
+  }
+
+  return amount.toMinorUnits(decimals)
+}
+
+/**
+ * Throws unless `address` is a withdrawal address of the currency
+ *
+ * @param currency - registry entry of the currency
+ * @param address  - target address
+ * @param network  - network of the environment, e.g. `testnet`
+ */
+function validateAddress (currency, address, network) {
+  switch (currency.addressFormat) {
+    case 'base58check':
+      if (!bitcoinAddress.validate(address, network)) {
+        throw invalidRequest('InvalidRequest:InvalidBitcoinAddress')
+      }
+      break
+    case 'hex':
+      if (!/^0x[0-9a-fA-F]{40}$/.test(address)) {
+        throw invalidRequest('InvalidRequest:InvalidAddress')
+      }
+      break
+    default:
+      if (!_.isString(address) || !_.trim(address)) {
+        throw invalidRequest('InvalidRequest:InvalidAddress')
+      }
+  }
+}
+
+// Money is sent as the plain number the api takes
+function toNumber (value) {
+  return Money.isMoney(value) ? value.toNumber() : value
+}
+
+function invalidRequest (message) {
+  return new errors.SurbtcValidationError(message, {statusCode: 400})
+}
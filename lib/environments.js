@@ -0,0 +1,90 @@
+/**
+ * Environments
+ * Profiles of the exchange environments a client can talk to
+ *
+ * Everything that depends on the environment is read from its profile,
+ * never guessed from the api url.
+ *
+ *
+ * Profile properties
+ *
+ * name      - name of the environment
+ * host      - base url of the exchange
+ * version   - api version, the client api url is `host/api/version`
+ * networks  - crypto network of each currency, `prod` (or `mainnet`) or
+ *             `testnet`. Bitcoin withdrawal addresses are validated for it
+ * limits    - (optional) environment-specific limits:
+ *             rateLimiter  - default rate limiter options of its clients
+ *             withdrawals  - {min, max} amount by currency, in the currency
+ *                            standard precision
+ *
+ * Clients take an environment name, or a profile object. A profile with the
+ * name of a built-in one is merged over it, e.g.
+ * `{name: 'staging', host: 'https://stg2.surbtc.com'}`.
+ */
+
+'use strict'
+
+const _ = require('lodash')
+
+const errors = require('./errors')
+
+const profiles = {
+  production: {
+    name: 'production',
+    host: 'https://www.surbtc.com',
+    version: 'v2',
+    networks: {BTC: 'prod', BCH: 'prod', LTC: 'prod', ETH: 'mainnet', USDC: 'mainnet'},
+    limits: {}
+  },
+  staging: {
+    name: 'staging',
+    host: 'https://stg.surbtc.com',
+    version: 'v2',
+    networks: {BTC: 'testnet', BCH: 'testnet', LTC: 'testnet', ETH: 'testnet', USDC: 'testnet'},
+    limits: {}
+  },
+  local: {
+    name: 'local',
+    host: 'http://localhost:3000',
+    version: 'v2',
+    networks: {BTC: 'testnet', BCH: 'testnet', LTC: 'testnet', ETH: 'testnet', USDC: 'testnet'},
+    limits: {}
+  }
+}
+
+/**
+ * Profile of an environment
+ *
+ * @param environment - (optional) name or profile, `production` by default
+ */
+function resolve (environment) {
+  if (environment === undefined) {
+    environment = 'production'
+  }
+
+  if (_.isString(environment)) {
+    if (!_.has(profiles, environment)) {
+      throw new errors.SurbtcValidationError('InvalidRequest:UnknownEnvironment', {statusCode: 400})
+    }
+
+    environment = {name: environment}
+  }
+
+  return _.merge({networks: {}, limits: {}}, profiles[environment.name], environment)
+}
+
+/**
+ * Api url of an environment
+ *
+ * @param profile - environment profile
+ */
+function apiUrl (profile) {
+  return profile.host + '/api/' + profile.version
+}
+
+module.exports = {
+  profiles: profiles,
+  resolve: resolve,
+  apiUrl: apiUrl
+}
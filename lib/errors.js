@@ -0,0 +1,247 @@
+/**
+ * Errors
+ * Every failed request ends with an instance of one of these classes
+ *
+ * SurbtcError               - base class of every error below
+ *   SurbtcAuthError         - missing credentials, 401 and 403 responses
+ *   SurbtcValidationError   - invalid requests, 400, 406 and 422 responses
+ *   SurbtcNotFoundError     - 404 responses
+ *   SurbtcRateLimitError    - 429 responses
+ *   SurbtcServerError       - 5xx responses
+ *   SurbtcNetworkError      - the request got no usable response
+ *   SurbtcAbortError        - the call was cancelled through its AbortSignal
+ *   SurbtcOrderStateError   - an order polled for a state stopped short of it
+ *
+ * Every error carries:
+ *
+ * statusCode   - HTTP status code of the response
+ * endpoint     - method and path of the request, e.g. `GET /orders/1`
+ * requestId    - `X-Request-Id` of the response, when the server sent one
+ * headers      - headers of the response
+ * body         - raw body of the response
+ *
+ * Network errors also carry the `reason` of the failure (one of
+ * `NetworkReason`), the socket error `code` and the original error as `cause`.
+ *
+ * Errors used to be plain objects, so the `success` (always false) and
+ * `error_type` properties they had are still set, and `toJSON()` returns
+ * that plain object.
+ */
+
+'use strict'
+
+const _ = require('lodash')
+
+const ErrorType = {
+  invalidRequest: 'invalid_request',
+  notAcceptable: 'not_acceptable',
+  unauthorized: 'unauthorized_request',
+  server: 'server',
+  unprocessableEntity: 'unprocessable_entity',
+  rateLimited: 'rate_limited',
+  network: 'network',
+  aborted: 'aborted',
+  orderState: 'order_state'
+}
+
+// Why the polling of an order stopped short of the state it waited for
+const PollOutcome = {
+  terminalState: 'terminal_state',
+  maxAttempts: 'max_attempts',
+  maxDuration: 'max_duration'
+}
+
+const NetworkReason = {
+  connection: 'connection',
+  timeout: 'timeout',
+  dns: 'dns',
+  tls: 'tls',
+  invalidResponse: 'invalid_response'
+}
+
+// Socket error codes, by network failure reason
+const networkErrorCodes = {
+  connection: ['ECONNREFUSED', 'ECONNRESET', 'EPIPE', 'EHOSTUNREACH', 'ENETUNREACH', 'ECONNABORTED'],
+  timeout: ['ETIMEDOUT', 'ESOCKETTIMEDOUT'],
+  dns: ['ENOTFOUND', 'EAI_AGAIN'],
+  tls: [
+    'EPROTO',
+    'CERT_HAS_EXPIRED',
+    'DEPTH_ZERO_SELF_SIGNED_CERT',
+    'SELF_SIGNED_CERT_IN_CHAIN',
+    'UNABLE_TO_VERIFY_LEAF_SIGNATURE',
+    'UNABLE_TO_GET_ISSUER_CERT_LOCALLY',
+    'ERR_TLS_CERT_ALTNAME_INVALID'
+  ]
+}
+
+// Properties of the plain error objects returned before these classes
+const LEGACY_PROPERTIES = ['success', 'statusCode', 'error_type', 'message', 'errors', 'order']
+
+class SurbtcError extends Error {
+  /**
+   * @param message - description of the error
+   * @param details - (optional) statusCode, errorType, endpoint, requestId, headers and body
+   */
+  constructor (message, details) {
+    details = details || {}
+
+    super(message)
+
+    this.name = this.constructor.name
+    this.success = false
+    this.error_type = details.errorType || this.constructor.errorType
+    this.statusCode = details.statusCode
+    this.endpoint = details.endpoint
+    this.requestId = details.requestId
+    this.headers = details.headers
+    this.body = details.body
+  }
+
+  toJSON () {
+    return _.omitBy(_.pick(this, LEGACY_PROPERTIES), _.isUndefined)
+  }
+}
+SurbtcError.errorType = ErrorType.server
+
+class SurbtcAuthError extends SurbtcError {}
+SurbtcAuthError.errorType = ErrorType.unauthorized
+
+class SurbtcValidationError extends SurbtcError {
+  constructor (message, details) {
+    super(message, details)
+
+    // field name => list of problems, as sent with 422 responses
+    this.errors = (details && details.errors) || (this.body && this.body.errors)
+  }
+}
+SurbtcValidationError.errorType = ErrorType.invalidRequest
+
+class SurbtcNotFoundError extends SurbtcError {}
+SurbtcNotFoundError.errorType = ErrorType.invalidRequest
+
+class SurbtcRateLimitError extends SurbtcError {}
+SurbtcRateLimitError.errorType = ErrorType.rateLimited
+
+class SurbtcServerError extends SurbtcError {}
+SurbtcServerError.errorType = ErrorType.server
+
+class SurbtcNetworkError extends SurbtcError {
+  constructor (message, details) {
+    details = details || {}
+
+    super(message, details)
+
+    this.reason = details.reason
+    this.code = details.code
+    this.cause = details.cause
+  }
+}
+SurbtcNetworkError.errorType = ErrorType.network
+
+class SurbtcAbortError extends SurbtcError {
+  constructor (message, details) {
+    super(message, details)
+
+    // reason the signal was aborted with
+    this.cause = details && details.cause
+  }
+}
+SurbtcAbortError.errorType = ErrorType.aborted
+
+class SurbtcOrderStateError extends SurbtcError {
+  constructor (message, details) {
+    details = details || {}
+
+    super(message, details)
+
+    // one of `PollOutcome`, the last order seen and the number of polls
+    this.outcome = details.outcome
+    this.order = details.order
+    this.attempts = details.attempts
+  }
+}
+SurbtcOrderStateError.errorType = ErrorType.orderState
+
+// Error class and legacy error type by response status code
+const byStatusCode = {
+  400: [SurbtcValidationError, ErrorType.invalidRequest],
+  401: [SurbtcAuthError, ErrorType.unauthorized],
+  403: [SurbtcAuthError, ErrorType.unauthorized],
+  404: [SurbtcNotFoundError, ErrorType.invalidRequest],
+  406: [SurbtcValidationError, ErrorType.notAcceptable],
+  422: [SurbtcValidationError, ErrorType.unprocessableEntity],
+  429: [SurbtcRateLimitError, ErrorType.rateLimited]
+}
+
+/**
+ * Build the error for an HTTP response with an error status code
+ *
+ * @param response  - response returned by the transport, with its parsed body
+ * @param endpoint  - method and path of the request
+ */
+function fromResponse (response, endpoint) {
+  const status = _.toNumber(response.status)
+  const body = response.body === undefined ? response.text : response.body
+  const match = byStatusCode[status] ||
+    (status >= 500 ? [SurbtcServerError, ErrorType.server] : [SurbtcError, ErrorType.invalidRequest])
+
+  const message = (body && body.message) || 'Request failed with status code ' + status
+
+  return new match[0](message, {
+    statusCode: status,
+    errorType: match[1],
+    endpoint: endpoint,
+    requestId: response.headers['x-request-id'],
+    headers: response.headers,
+    body: body
+  })
+}
+
+/**
+ * Build the error for a request that got no usable response: the connection
+ * failed, timed out or the response body could not be parsed
+ *
+ * @param error     - error the transport failed with
+ * @param endpoint  - method and path of the request
+ */
+function fromTransportError (error, endpoint) {
+  const details = {
+    endpoint: endpoint,
+    code: error.code,
+    cause: error
+  }
+
+  if (error instanceof SyntaxError || error.rawResponse !== undefined) {
+    details.reason = NetworkReason.invalidResponse
+    details.statusCode = error.statusCode
+    details.body = error.rawResponse
+
+    return new SurbtcNetworkError('Unable to parse the response: ' + error.message, details)
+  }
+
+  details.reason = error.timeout
+    ? NetworkReason.timeout
+    : _.findKey(networkErrorCodes, function (codes) {
+      return _.includes(codes, error.code)
+    }) || (/SSL|TLS|CERT/.test(error.code) ? NetworkReason.tls : NetworkReason.connection)
+
+  return new SurbtcNetworkError(error.message || 'Network error', details)
+}
+
+module.exports = {
+  ErrorType: ErrorType,
+  NetworkReason: NetworkReason,
+  PollOutcome: PollOutcome,
+  SurbtcError: SurbtcError,
+  SurbtcAuthError: SurbtcAuthError,
+  SurbtcValidationError: SurbtcValidationError,
+  SurbtcNotFoundError: SurbtcNotFoundError,
+  SurbtcRateLimitError: SurbtcRateLimitError,
+  SurbtcServerError: SurbtcServerError,
+  SurbtcNetworkError: SurbtcNetworkError,
+  SurbtcAbortError: SurbtcAbortError,
+  SurbtcOrderStateError: SurbtcOrderStateError,
+  fromResponse: fromResponse,
+  fromTransportError: fromTransportError
+}
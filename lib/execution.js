@@ -0,0 +1,219 @@
+/**
+ * Execution policies
+ * How `createAndTradeOrder` handles an order that does not trade right away
+ *
+ * fill_or_kill          - the order is canceled when it is not fully traded
+ *                         within `within` milliseconds (10 seconds by default)
+ * immediate_or_cancel   - the order is checked once, after the poll
+ *                         `interval`, and whatever is left is canceled
+ * reprice_until_filled  - a limit order left untraded for `repriceInterval`
+ *                         milliseconds (5 seconds by default) is canceled and
+ *                         replaced at the best price of the order book for
+ *                         the rest of the amount. It stops once the best
+ *                         price is more than `maxSlippage` percent (1 by
+ *                         default) worse than the original limit
+ *
+ * The exchange does not undo partial fills, so a canceled order may still
+ * have traded part of its amount. The result reports what was traded across
+ * every order created:
+ *
+ * policy        - policy of the execution
+ * complete      - whether the whole amount was traded
+ * filled        - Money, amount traded, the sum of `traded_amount`
+ * averagePrice  - Money, `total_exchanged` per unit traded, null without fills
+ * fees          - Money, fees paid, the sum of `paid_fee`
+ * remainder     - Money, amount not traded
+ * order         - last order created, in its final state
+ * orders        - every order created, in their final state
+ */
+
+'use strict'
+
+const _ = require('lodash')
+const uuid = require('uuid')
+
+const errors = require('./errors')
+const Money = require('./money')
+const currencies = require('./currencies')
+
+const Policy = {
+  fillOrKill: 'fill_or_kill',
+  immediateOrCancel: 'immediate_or_cancel',
+  repriceUntilFilled: 'reprice_until_filled'
+}
+
+/**
+ * Resolves with the result of an order traded under a policy
+ *
+ * @param client   - client creating the orders
+ * @param marketId - market of the order
+ * @param order    - `createOrder` payload
+ * @param options  - policy options, see above
+ * @param poll     - options of the calls made, polling options included
+ */
+function execute (client, marketId, order, options, poll) {
+  const policy = options.policy
+
+  if (policy === Policy.fillOrKill) {
+    return client.createOrder(marketId, order, poll).then(function (created) {
+      return settle(client, created, _.assign({}, poll, {maxDuration: options.within || 10000}))
+    }).then(function (settled) {
+      return report(policy, order, [settled])
+    })
+  }
+
+  if (policy === Policy.immediateOrCancel) {
+    return client.createOrder(marketId, order, poll).then(function (created) {
+      return settle(client, created, _.assign({}, poll, {maxAttempts: 1}))
+    }).then(function (settled) {
+      return report(policy, order, [settled])
+    })
+  }
+
+  if (policy === Policy.repriceUntilFilled) {
+    if (order.price_type !== 'limit' || _.isNil(order.limit)) {
+      return Promise.reject(new errors.SurbtcValidationError('InvalidRequest:LimitOrderRequired', {statusCode: 400}))
+    }
+
+    return reprice(client, marketId, order, options, poll).then(function (settled) {
+      return report(policy, order, settled)
+    })
+  }
+
+  return Promise.reject(new errors.SurbtcValidationError('InvalidRequest:UnknownPolicy', {statusCode: 400}))
+}
+
+// Resolves with the order once traded, or canceled after polling stopped
+function settle (client, created, poll) {
+  return client.pollOrderState(created, 'traded', poll).then(function (response) {
+    return {order: response.order}
+  }, function (error) {
+    if (!(error instanceof errors.SurbtcOrderStateError)) {
+      throw error
+    }
+
+    // Canceled or traded by someone else, nothing left to cancel
+    if (error.outcome === errors.PollOutcome.terminalState) {
+      return {order: error.order, ended: true}
+    }
+
+    return cancel(client, error.order, poll).then(function (order) {
+      return {order: order}
+    })
+  })
+}
+
+// Resolves with the order once canceled, or traded before it could be
+function cancel (client, order, poll) {
+  const settled = _.assign(_.omit(poll, ['maxDuration', 'onProgress']), {
+    terminalStates: ['traded'],
+    maxAttempts: 20
+  })
+
+  return client.cancelOrderId(order.id, poll).catch(function (error) {
+    // Orders that traded in the meantime fail the cancelOrderId check
+    if (error.error_type === 'order_not_valid_for_canceling' && error.order) {
+      return {success: true, order: _.assign({}, order, error.order)}
+    }
+    throw error
+  }).then(function (response) {
+    return client.pollOrderState(response, 'canceled', settled)
+  }).then(function (response) {
+    return response.order
+  }, function (error) {
+    if (error instanceof errors.SurbtcOrderStateError) {
+      return error.order
+    }
+    throw error
+  })
+}
+
+function reprice (client, marketId, order, options, poll) {
+  const settled = []
+  const slippage = Money.decimal(order.limit).times(options.maxSlippage === undefined ? 1 : options.maxSlippage).dividedBy(100, 8)
+  const bound = order.type === 'bid' ? Money.decimal(order.limit).plus(slippage) : Money.decimal(order.limit).minus(slippage)
+  const interval = {maxDuration: options.repriceInterval || 5000}
+
+  const place = function (created) {
+    return settle(client, created, _.assign({}, poll, interval)).then(function (result) {
+      settled.push(result)
+
+      const remainder = report(null, order, settled).remainder
+
+      if (result.order.state === 'traded' || result.ended || (remainder && !remainder.isPositive())) {
+        return settled
+      }
+
+      return client.getOrderBook(marketId, poll).then(function (response) {
+        const entries = order.type === 'bid' ? response.order_book.asks : response.order_book.bids
+
+        if (_.isEmpty(entries)) {
+          return settled
+        }
+
+        const best = Money.decimal(entries[0][0])
+
+        if (best.compare(bound) === (order.type === 'bid' ? 1 : -1)) {
+          return settled
+        }
+
+        return client.order(marketId).type(order.type).limit(best.amount).amount(remainder ? remainder.amount : order.amount)
+          .idempotencyKey(uuid.v4()).submit(poll).then(place, function (error) {
+            // The rest is below the market minimum
+            if (error.message === 'InvalidRequest:InvalidOrder') {
+              return settled
+            }
+            throw error
+          })
+      })
+    })
+  }
+
+  return client.createOrder(marketId, order, poll).then(place)
+}
+
+function report (policy, order, settled) {
+  const orders = _.map(settled, 'order')
+  const last = _.last(orders)
+  const filled = total(orders, 'traded_amount')
+  const exchanged = total(orders, 'total_exchanged')
+  const remainder = filled && !_.isNil(order.amount) ? Money.of(Money.decimal(order.amount).amount, filled.currency).minus(filled) : null
+
+  return {
+    success: true,
+    policy: policy,
+    complete: last.state === 'traded' || (remainder ? !remainder.isPositive() : false),
+    filled: filled,
+    averagePrice: filled && exchanged && filled.isPositive()
+      ? exchanged.dividedBy(filled.amount, decimalsOf(exchanged.currency))
+      : null,
+    fees: total(orders, 'paid_fee'),
+    remainder: remainder,
+    order: last,
+    orders: orders
+  }
+}
+
+// Sum of an amount of the orders, null when none of them has it
+function total (orders, field) {
+  const amounts = _.filter(_.map(orders, function (order) {
+    return Money.parse(order[field])
+  }), Money.isMoney)
+
+  if (_.isEmpty(amounts)) {
+    return null
+  }
+
+  return _.reduce(_.tail(amounts), function (sum, amount) {
+    return sum.plus(amount)
+  }, _.head(amounts))
+}
+
+function decimalsOf (currency) {
+  return currencies.has(currency) ? currencies.get(currency).decimals : 8
+}
+
+module.exports = {
+  Policy: Policy,
+  execute: execute
+}
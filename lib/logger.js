@@ -0,0 +1,124 @@
+/**
+ * Debug logger
+ * Log what the client signs, sends and receives, to debug signature failures
+ *
+ * Debug logging is off unless the `debug` option of the client is set, or
+ * the `SURBTC_DEBUG` environment variable is set to anything but `0` or
+ * `false`. It logs:
+ *
+ * signing   - canonical string signed for a request, with its nonce and body
+ * request   - method, url, headers and body of every attempt
+ * response  - status, headers and body of every response
+ * failure   - requests that got no usable response
+ *
+ * Credentials never reach the log: the api key, the signature, the secret and
+ * the bank account and document numbers sent with `registerBankAccount` (or
+ * returned in its response) are masked wherever they show up, even in the
+ * signed string.
+ *
+ *
+ * Options
+ *
+ * debug   - (optional) enable or disable debug logging, takes precedence over
+ *           the environment variable
+ * logger  - (optional) function `(message, fields)`, or object with a
+ *           `debug(message, fields)` method, receiving every entry. Entries
+ *           are written to stderr by default.
+ */
+
+'use strict'
+
+const _ = require('lodash')
+const util = require('util')
+
+const MASK = '[REDACTED]'
+
+// Lower-cased header and field names masked in every entry
+const SENSITIVE_KEYS = [
+  'x-sbtc-apikey',
+  'x-sbtc-signature',
+  'authorization',
+  'proxy-authorization',
+  'key',
+  'secret',
+  'signature',
+  'account_number',
+  'document_number',
+  'bank_account_number',
+  'bank_account_holder_id'
+]
+
+function Logger (options) {
+  options = options || {}
+
+  this.enabled = options.debug === undefined ? enabledByEnv() : !!options.debug
+  this.output = options.logger || defaultOutput
+}
+
+/**
+ * Log an entry when debug logging is enabled
+ *
+ * @param message - what happened, e.g. `request`
+ * @param fields  - details of the entry, masked before they are logged
+ */
+Logger.prototype.debug = function (message, fields) {
+  if (!this.enabled) {
+    return
+  }
+
+  const entry = redact(fields)
+
+  if (_.isFunction(this.output)) {
+    this.output(message, entry)
+  } else {
+    this.output.debug(message, entry)
+  }
+}
+
+/**
+ * Deep copy of `value` with every sensitive field masked
+ *
+ * @param value - object, array or scalar to copy
+ */
+function redact (value) {
+  if (_.isArray(value)) {
+    return _.map(value, redact)
+  }
+
+  if (!_.isPlainObject(value)) {
+    return value
+  }
+
+  return _.mapValues(value, function (field, name) {
+    if (_.includes(SENSITIVE_KEYS, _.toLower(name)) && !_.isNil(field)) {
+      return MASK
+    }
+
+    return redact(field)
+  })
+}
+
+/**
+ * Whether `value` holds anything `redact` would mask
+ *
+ * @param value - object, array or scalar to check
+ */
+function isSensitive (value) {
+  return !_.isEqual(redact(value), value)
+}
+
+function enabledByEnv () {
+  const flag = process.env.SURBTC_DEBUG
+
+  return !!flag && flag !== '0' && flag !== 'false'
+}
+
+function defaultOutput (message, fields) {
+  process.stderr.write('surbtc ' + message + ' ' + util.inspect(fields, {depth: null, breakLength: Infinity}) + '\n')
+}
+
+Logger.MASK = MASK
+Logger.redact = redact
+Logger.isSensitive = isSensitive
+
+module.exports = Logger
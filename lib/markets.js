@@ -0,0 +1,125 @@
+/**
+ * Market catalog
+ * Markets of the exchange, loaded once from `/markets` and cached
+ *
+ * Market-scoped client methods look their `marketId` up here before any
+ * request is sent, so an unknown market fails right away with
+ * `InvalidRequest:UnknownMarket` instead of an api 404. Lookups ignore case
+ * and separators: `BTC-CLP`, `btc-clp` and `btcclp` are the same market.
+ *
+ * Every market has:
+ *
+ * id                  - id the api takes in market paths
+ * name                - name of the market, e.g. `btc-clp`
+ * baseCurrency        - currency bought and sold, e.g. `BTC`
+ * quoteCurrency       - currency prices are given in, e.g. `CLP`
+ * minimumOrderAmount  - (optional) Money, smallest order amount
+ * tickSize            - (optional) Money, price increment of the market. The
+ *                       minor unit of the quote currency when the api does
+ *                       not send one
+ *
+ *
+ * Options
+ *
+ * ttl  - milliseconds the catalog is kept before it is loaded again,
+ *        5 minutes by default
+ */
+
+'use strict'
+
+const _ = require('lodash')
+
+const errors = require('./errors')
+const Money = require('./money')
+const currencies = require('./currencies')
+
+function MarketCatalog (client, options) {
+  options = options || {}
+
+  this.client = client
+  this.ttl = options.ttl === undefined ? 5 * 60 * 1000 : options.ttl
+  this.markets = null
+  this.loadedAt = 0
+  this.loading = null
+}
+
+/**
+ * Resolves with every market, loading them when the cache is empty or stale
+ *
+ * @param refresh - (optional) load them even when the cache is fresh
+ */
+MarketCatalog.prototype.load = function (refresh) {
+  const self = this
+
+  if (self.markets && !refresh && Date.now() - self.loadedAt < self.ttl) {
+    return Promise.resolve(_.values(self.markets))
+  }
+
+  if (!self.loading) {
+    self.loading = self.client.getMarkets().then(function (response) {
+      self.loading = null
+      self.markets = _.keyBy(_.map(response.markets, toMarket), function (market) {
+        return normalizeId(market.name || market.id)
+      })
+      self.loadedAt = Date.now()
+
+      return _.values(self.markets)
+    }, function (error) {
+      self.loading = null
+      throw error
+    })
+  }
+
+  return self.loading
+}
+
+/**
+ * Resolves with a market, fails with a validation error when it is unknown
+ *
+ * @param marketId - market id or name, in any case, with or without separator
+ */
+MarketCatalog.prototype.get = function (marketId) {
+  const self = this
+
+  return self.load().then(function () {
+    const market = self.markets[normalizeId(marketId)]
+
+    if (!market) {
+      throw new errors.SurbtcValidationError('InvalidRequest:UnknownMarket', {statusCode: 400})
+    }
+
+    return market
+  })
+}
+
+/**
+ * Drop the cached markets, the next lookup loads them again
+ */
+MarketCatalog.prototype.invalidate = function () {
+  this.markets = null
+  this.loadedAt = 0
+}
+
+function toMarket (market) {
+  const base = _.toUpper(market.base_currency)
+  const quote = _.toUpper(market.quote_currency)
+
+  return {
+    id: market.id || market.name,
+    name: market.name || market.id,
+    baseCurrency: base,
+    quoteCurrency: quote,
+    minimumOrderAmount: _.isNil(market.minimum_order_amount) ? undefined : Money.of(market.minimum_order_amount, base),
+    tickSize: !_.isNil(market.tick_size)
+      ? Money.of(market.tick_size, quote)
+      : currencies.has(quote) ? Money.fromMinorUnits(1, quote, currencies.get(quote).decimals) : undefined
+  }
+}
+
+function normalizeId (marketId) {
+  return _.toLower(marketId).replace(/[^a-z0-9]/g, '')
+}
+
+MarketCatalog.normalizeId = normalizeId
+
+module.exports = MarketCatalog
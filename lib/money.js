@@ -0,0 +1,399 @@
+/**
+ * Money
+ * Immutable decimal amount of a currency
+ *
+ * Amounts are kept as an integer number of units and a decimal scale
+ * (`1.25` is 125 units at scale 2), so additions, multiplications and
+ * conversions to minor units (satoshis, cents) are exact. Precision is only
+ * ever lost through an explicit rounding, with one of the `Rounding` modes.
+ *
+ * Every client method taking an amount accepts a Money value, and the
+ * `[amount, currency]` tuples of the api responses are parsed into Money.
+ * `toJSON()` turns it back into that tuple.
+ *
+ *   const price = Money.of('0.1', 'BTC').plus('0.2')   // 0.3 BTC, exactly
+ *   price.toMinorUnits(8)                              // 30000000
+ *
+ * `Money.decimal` gives the same exact arithmetic to amounts without a
+ * currency, e.g. prices of a market that is not known.
+ */
+
+'use strict'
+
+const _ = require('lodash')
+
+const errors = require('./errors')
+
+const Rounding = {
+  halfUp: 'half_up',      // to the nearest, halves away from zero
+  halfEven: 'half_even',  // to the nearest, halves to the even neighbour
+  down: 'down',           // towards zero
+  up: 'up',               // away from zero
+  floor: 'floor',         // towards negative infinity
+  ceil: 'ceil'            // towards positive infinity
+}
+
+const DECIMAL = /^([+-]?)(\d*)(?:\.(\d*))?(?:e([+-]?\d+))?$/i
+const CURRENCY = /^[A-Z][A-Z0-9]{1,9}$/
+
+/**
+ * @param amount   - decimal string, number, or Money of the same currency
+ * @param currency - currency code, e.g. `BTC`, or null for a plain decimal
+ *                   (a price or an amount whose currency is not known)
+ */
+function Money (amount, currency) {
+  if (!(this instanceof Money)) {
+    return new Money(amount, currency)
+  }
+
+  const decimal = normalize(parseDecimal(amount))
+
+  if (amount instanceof Money && !_.isNil(currency) && _.toUpper(currency) !== amount.currency) {
+    throw invalidRequest('InvalidRequest:CurrencyMismatch')
+  }
+
+  this.currency = currency === null
+    ? null
+    : currency === undefined && amount instanceof Money ? amount.currency : _.toUpper(currency)
+  this.units = decimal.units
+  this.scale = decimal.scale
+
+  if (this.currency !== null && !CURRENCY.test(this.currency)) {
+    throw invalidRequest('InvalidRequest:InvalidCurrency')
+  }
+
+  Object.freeze(this)
+}
+
+Money.Rounding = Rounding
+
+/**
+ * Money from an amount, leaving Money values as they are
+ *
+ * @param amount   - decimal string, number or Money
+ * @param currency - currency code, optional for Money values
+ */
+Money.of = function (amount, currency) {
+  if (amount instanceof Money && (currency === undefined || _.toUpper(currency) === amount.currency)) {
+    return amount
+  }
+
+  return new Money(amount, currency)
+}
+
+/**
+ * Plain decimal without currency, of a number, a string or the amount of a
+ * Money value. Only combines with other plain decimals and numbers
+ *
+ * @param value - decimal string, number or Money
+ */
+Money.decimal = function (value) {
+  if (value instanceof Money && value.currency === null) {
+    return value
+  }
+
+  return new Money(value instanceof Money ? {units: value.units, scale: value.scale} : value, null)
+}
+
+/**
+ * Money from an integer amount of minor units, e.g. satoshis
+ *
+ * @param units    - integer amount of minor units
+ * @param currency - currency code
+ * @param decimals - decimals of the currency, 8 for satoshis
+ */
+Money.fromMinorUnits = function (units, currency, decimals) {
+  const decimal = parseDecimal(units)
+
+  if (decimal.scale !== 0) {
+    throw invalidRequest('InvalidRequest:InvalidAmount')
+  }
+
+  return fromUnits(decimal.units, decimals, currency)
+}
+
+Money.isMoney = function (value) {
+  return value instanceof Money
+}
+
+/**
+ * Copy of an api response with its `[amount, currency]` tuples as Money
+ *
+ * @param value - parsed response body
+ */
+Money.parse = function (value) {
+  if (_.isArray(value)) {
+    if (value.length === 2 && isAmount(value[0]) && _.isString(value[1]) && CURRENCY.test(value[1])) {
+      return new Money(value[0], value[1])
+    }
+
+    return _.map(value, Money.parse)
+  }
+
+  if (_.isPlainObject(value)) {
+    return _.mapValues(value, Money.parse)
+  }
+
+  return value
+}
+
+Object.defineProperty(Money.prototype, 'amount', {
+  // Decimal string of the amount, without trailing zeros
+  get: function () {
+    const negative = this.units < 0n
+    const digits = (negative ? -this.units : this.units).toString().padStart(this.scale + 1, '0')
+    const integer = digits.slice(0, digits.length - this.scale)
+    const fraction = digits.slice(digits.length - this.scale)
+
+    return (negative ? '-' : '') + integer + (fraction ? '.' + fraction : '')
+  }
+})
+
+Money.prototype.plus = function (other) {
+  const operands = align(this, this._operand(other))
+
+  return fromUnits(operands[0] + operands[1], operands[2], this.currency)
+}
+
+Money.prototype.minus = function (other) {
+  const operands = align(this, this._operand(other))
+
+  return fromUnits(operands[0] - operands[1], operands[2], this.currency)
+}
+
+/**
+ * Product by a plain decimal factor, e.g. a price or a fee rate
+ *
+ * @param factor - decimal string or number
+ */
+Money.prototype.times = function (factor) {
+  const decimal = parseDecimal(factor)
+
+  return fromUnits(this.units * decimal.units, this.scale + decimal.scale, this.currency)
+}
+
+/**
+ * Quotient by a plain decimal divisor, rounded to `decimals` decimals
+ *
+ * @param divisor  - decimal string or number
+ * @param decimals - decimals of the result
+ * @param rounding - (optional) one of `Rounding`, half up by default
+ */
+Money.prototype.dividedBy = function (divisor, decimals, rounding) {
+  const decimal = parseDecimal(divisor)
+
+  if (decimal.units === 0n) {
+    throw invalidRequest('InvalidRequest:DivisionByZero')
+  }
+
+  const numerator = this.units * pow10(decimals + decimal.scale)
+  const denominator = decimal.units * pow10(this.scale)
+
+  return fromUnits(divide(numerator, denominator, rounding), decimals, this.currency)
+}
+
+Money.prototype.negated = function () {
+  return fromUnits(-this.units, this.scale, this.currency)
+}
+
+Money.prototype.abs = function () {
+  return this.units < 0n ? this.negated() : this
+}
+
+/**
+ * Amount rounded to `decimals` decimals
+ *
+ * @param decimals - decimals to keep
+ * @param rounding - (optional) one of `Rounding`, half up by default
+ */
+Money.prototype.round = function (decimals, rounding) {
+  if (this.scale <= decimals) {
+    return this
+  }
+
+  return fromUnits(divide(this.units, pow10(this.scale - decimals), rounding), decimals, this.currency)
+}
+
+/**
+ * Integer amount of minor units, e.g. satoshis for 8 decimals
+ *
+ * @param decimals - decimals of the currency
+ * @param rounding - (optional) one of `Rounding`, half up by default
+ */
+Money.prototype.toMinorUnits = function (decimals, rounding) {
+  const rounded = this.round(decimals, rounding)
+  const units = Number(rounded.units * pow10(decimals - rounded.scale))
+
+  if (!Number.isSafeInteger(units)) {
+    throw invalidRequest('InvalidRequest:AmountTooLarge')
+  }
+
+  return units
+}
+
+/**
+ * -1, 0 or 1 as the amount is lower, equal or greater than `other`
+ *
+ * @param other - Money of the same currency, or decimal amount
+ */
+Money.prototype.compare = function (other) {
+  const operands = align(this, this._operand(other))
+
+  return operands[0] < operands[1] ? -1 : operands[0] > operands[1] ? 1 : 0
+}
+
+Money.prototype.equals = function (other) {
+  return other instanceof Money && other.currency === this.currency && this.compare(other) === 0
+}
+
+Money.prototype.isZero = function () {
+  return this.units === 0n
+}
+
+Money.prototype.isNegative = function () {
+  return this.units < 0n
+}
+
+Money.prototype.isPositive = function () {
+  return this.units > 0n
+}
+
+/**
+ * Closest number to the amount, for apis taking plain numbers
+ */
+Money.prototype.toNumber = function () {
+  return Number(this.amount)
+}
+
+Money.prototype.toString = function () {
+  return this.currency === null ? this.amount : this.amount + ' ' + this.currency
+}
+
+Money.prototype.toJSON = function () {
+  return this.currency === null ? this.amount : [this.amount, this.currency]
+}
+
+Money.prototype._operand = function (other) {
+  if (other instanceof Money && other.currency !== this.currency) {
+    throw invalidRequest('InvalidRequest:CurrencyMismatch')
+  }
+
+  return other instanceof Money ? other : parseDecimal(other)
+}
+
+function fromUnits (units, scale, currency) {
+  return new Money({units: units, scale: scale}, currency)
+}
+
+function normalize (decimal) {
+  // Trailing zeros are dropped, so equal amounts get equal units and scale
+  let units = decimal.units
+  let scale = decimal.scale
+
+  while (scale > 0 && units % 10n === 0n) {
+    units /= 10n
+    scale--
+  }
+
+  return {units: units, scale: scale}
+}
+
+function parseDecimal (value) {
+  if (value instanceof Money) {
+    return {units: value.units, scale: value.scale}
+  }
+
+  // Already parsed, see `fromUnits`
+  if (_.isPlainObject(value) && typeof value.units === 'bigint') {
+    return value
+  }
+
+  if (typeof value === 'bigint') {
+    return {units: value, scale: 0}
+  }
+
+  // The shortest string that reads back as the same number, `0.1` and not
+  // its binary expansion
+  const match = (_.isNumber(value) && _.isFinite(value)) || _.isString(value)
+    ? DECIMAL.exec(_.trim(String(value)))
+    : null
+
+  if (!match || (!match[2] && !match[3])) {
+    throw invalidRequest('InvalidRequest:InvalidAmount')
+  }
+
+  const fraction = match[3] || ''
+  const exponent = _.toInteger(match[4])
+  let units = BigInt((match[2] || '') + fraction || '0')
+  let scale = fraction.length - exponent
+
+  if (scale < 0) {
+    units *= pow10(-scale)
+    scale = 0
+  }
+
+  return {units: match[1] === '-' ? -units : units, scale: scale}
+}
+
+function align (a, b) {
+  const scale = Math.max(a.scale, b.scale)
+
+  return [a.units * pow10(scale - a.scale), b.units * pow10(scale - b.scale), scale]
+}
+
+function divide (numerator, denominator, rounding) {
+  if (denominator < 0n) {
+    numerator = -numerator
+    denominator = -denominator
+  }
+
+  const quotient = numerator / denominator
+  const remainder = numerator % denominator
+
+  if (remainder === 0n) {
+    return quotient
+  }
+
+  const sign = numerator < 0n ? -1n : 1n
+  const twice = (remainder < 0n ? -remainder : remainder) * 2n
+  let away
+
+  switch (rounding || Rounding.halfUp) {
+    case Rounding.down:
+      away = false
+      break
+    case Rounding.up:
+      away = true
+      break
+    case Rounding.floor:
+      away = sign < 0n
+      break
+    case Rounding.ceil:
+      away = sign > 0n
+      break
+    case Rounding.halfEven:
+      away = twice > denominator || (twice === denominator && quotient % 2n !== 0n)
+      break
+    case Rounding.halfUp:
+      away = twice >= denominator
+      break
+    default:
+      throw invalidRequest('InvalidRequest:InvalidRounding')
+  }
+
+  return away ? quotient + sign : quotient
+}
+
+function pow10 (exponent) {
+  return 10n ** BigInt(exponent)
+}
+
+function isAmount (value) {
+  return (_.isNumber(value) && _.isFinite(value)) || (_.isString(value) && DECIMAL.test(value) && /\d/.test(value))
+}
+
+function invalidRequest (message) {
+  return new errors.SurbtcValidationError(message, {statusCode: 400})
+}
+
+module.exports = Money
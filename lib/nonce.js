@@ -0,0 +1,50 @@
+/**
+ * Nonce generator
+ * Produce the `X-SBTC-NONCE` of signed requests
+ *
+ * The server rejects a nonce that is not greater than the last one it
+ * accepted for the api key, so nonces are based on the clock but always
+ * increase within the process, even for requests signed in the same
+ * millisecond or after the clock moves backwards.
+ *
+ * Any object with a `next()` method returning a nonce, or a promise of one,
+ * can be given to the client instead (e.g. one backed by a counter shared
+ * by every worker using the api key). When it also has an `accepted(nonce)`
+ * method, it is told about every nonce the server accepted.
+ *
+ *
+ * Options
+ *
+ * clockOffset  - milliseconds added to the local clock, to make up for skew
+ *                against the server clock
+ * lastNonce    - last nonce known to have been accepted by the server
+ */
+
+'use strict'
+
+function NonceGenerator (options) {
+  options = options || {}
+
+  this.clockOffset = options.clockOffset || 0
+  this.last = options.lastNonce || 0
+}
+
+/**
+ * Next nonce, greater than every nonce handed out or accepted before
+ */
+NonceGenerator.prototype.next = function () {
+  this.last = Math.max(Date.now() + this.clockOffset, this.last + 1)
+
+  return this.last
+}
+
+/**
+ * Record a nonce the server accepted, the next ones will stay ahead of it
+ *
+ * @param nonce - accepted nonce
+ */
+NonceGenerator.prototype.accepted = function (nonce) {
+  this.last = Math.max(this.last, Number(nonce))
+}
+
+module.exports = NonceGenerator
@@ -0,0 +1,215 @@
+/**
+ * Operation
+ * Timeouts and cancellation of one client call
+ *
+ * Every client call runs as an operation, which ends early when:
+ *
+ * - the `signal` (an `AbortSignal`) given with the call is aborted, the call
+ *   then fails with a `SurbtcAbortError`
+ * - the operation timeout expires, the call then fails with a
+ *   `SurbtcNetworkError` with `timeout` reason
+ *
+ * Aborting an operation aborts its in-flight HTTP request and its pending
+ * timers (retries, polling). Calls made on behalf of another one (e.g. the
+ * `getOrderId` calls of `pollOrderState`) are linked to it through `signal`,
+ * and take its response timeout.
+ *
+ *
+ * Timeouts, in milliseconds, given per client and/or per call:
+ *
+ * response   - timeout of every HTTP request, applies to each retry
+ * operation  - timeout of the whole call, including retries and polling
+ *
+ * A number is taken as the response timeout.
+ *
+ * Every operation has a `correlationId`, given with the call or generated,
+ * shared by the calls linked to it and reported with the client events.
+ */
+
+'use strict'
+
+const _ = require('lodash')
+const uuid = require('uuid')
+
+const AbortController = require('./abort')
+const errors = require('./errors')
+
+function Operation (options, defaults) {
+  const self = this
+
+  options = options || {}
+
+  const timeout = _.assign({}, normalizeTimeout(defaults), normalizeTimeout(options.timeout))
+
+  this.correlationId = options.correlationId || uuid.v4()
+  this.responseTimeout = timeout.response
+  this.controller = new AbortController()
+  this.signal = this.controller.signal
+  this.cleanup = []
+
+  const parent = options.signal
+
+  if (parent && parent.aborted) {
+    self.abort(toError(parent.reason))
+  } else if (parent) {
+    const onParentAbort = function () {
+      self.abort(toError(parent.reason))
+    }
+
+    parent.addEventListener('abort', onParentAbort)
+    this.cleanup.push(function () {
+      parent.removeEventListener('abort', onParentAbort)
+    })
+  }
+
+  if (timeout.operation && !this.signal.aborted) {
+    const timer = setTimeout(function () {
+      self.abort(new errors.SurbtcNetworkError('Operation timed out after ' + timeout.operation + 'ms', {
+        reason: errors.NetworkReason.timeout,
+        code: 'ETIMEDOUT'
+      }))
+    }, timeout.operation)
+
+    this.cleanup.push(function () {
+      clearTimeout(timer)
+    })
+  }
+}
+
+/**
+ * Whether the operation has been aborted
+ */
+Operation.prototype.aborted = function () {
+  return this.signal.aborted
+}
+
+/**
+ * Error the operation was aborted with
+ */
+Operation.prototype.error = function () {
+  return this.signal.reason
+}
+
+/**
+ * Abort the operation
+ *
+ * @param error - (optional) error the operation fails with
+ */
+Operation.prototype.abort = function (error) {
+  if (!this.signal.aborted) {
+    this.controller.abort(error || new errors.SurbtcAbortError('The operation was aborted'))
+  }
+}
+
+/**
+ * Run `listener(error)` once the operation is aborted
+ *
+ * @param listener - function called with the error the operation was aborted with
+ * @return function removing the listener
+ */
+Operation.prototype.onAbort = function (listener) {
+  const signal = this.signal
+  const onAbort = function () {
+    listener(signal.reason)
+  }
+
+  if (signal.aborted) {
+    onAbort()
+    return _.noop
+  }
+
+  signal.addEventListener('abort', onAbort)
+
+  return function () {
+    signal.removeEventListener('abort', onAbort)
+  }
+}
+
+/**
+ * Resolve after `ms` milliseconds, or reject as soon as the operation is aborted
+ *
+ * @param ms - milliseconds to wait
+ */
+Operation.prototype.delay = function (ms) {
+  const self = this
+
+  return new Promise(function (resolve, reject) {
+    if (self.aborted()) {
+      return reject(self.error())
+    }
+
+    const timer = setTimeout(function () {
+      removeListener()
+      resolve()
+    }, ms)
+    const removeListener = self.onAbort(function (error) {
+      clearTimeout(timer)
+      reject(error)
+    })
+  })
+}
+
+/**
+ * Settle with `promise`, or fail as soon as the operation is aborted.
+ * The operation timers are released once it is settled.
+ *
+ * @param promise - promise of the result of the operation
+ */
+Operation.prototype.run = function (promise) {
+  const self = this
+
+  return new Promise(function (resolve, reject) {
+    const removeListener = self.onAbort(function (error) {
+      self.finish()
+      reject(error)
+    })
+
+    promise.then(function (result) {
+      removeListener()
+      self.finish()
+      resolve(result)
+    }, function (error) {
+      removeListener()
+      self.finish()
+      reject(error)
+    })
+  })
+}
+
+/**
+ * Options of the calls made on behalf of the operation, linked to it and
+ * with its response timeout
+ */
+Operation.prototype.child = function () {
+  return {
+    signal: this.signal,
+    correlationId: this.correlationId,
+    timeout: {response: this.responseTimeout}
+  }
+}
+
+/**
+ * Release the operation timers and listeners
+ */
+Operation.prototype.finish = function () {
+  _.over(this.cleanup)()
+  this.cleanup = []
+}
+
+function normalizeTimeout (timeout) {
+  if (_.isNumber(timeout)) {
+    return {response: timeout}
+  }
+
+  return _.omitBy(_.pick(timeout, ['response', 'operation']), _.isNil)
+}
+
+function toError (reason) {
+  if (reason instanceof errors.SurbtcError) {
+    return reason
+  }
+
+  return new errors.SurbtcAbortError('The operation was aborted', {cause: reason})
+}
+
+module.exports = Operation
@@ -0,0 +1,257 @@
+/**
+ * Order builder
+ * Build and validate an order before it is signed and sent
+ *
+ *   client.order('btc-clp').bid().limit(9000000).amount('0.01').submit()
+ *
+ * The order is checked against the market catalog: the type, the price
+ * type, a limit price for limit orders and an amount of at least the market
+ * minimum. Every problem is reported at once, in the `errors` (field name =>
+ * list of problems) of a `SurbtcValidationError` with message
+ * `InvalidRequest:InvalidOrder`, the same shape as the api 422 errors.
+ *
+ * Stop orders wait on the exchange until the market reaches their `stop`
+ * price, then trade as a market order, or as a limit order when they also
+ * have a limit (stop-limit):
+ *
+ *   client.order('btc-clp').ask().stop(8500000).limit(8400000).amount('0.01')
+ *
+ * Limit and stop prices are rounded to the market tick size, in the safe
+ * direction: down for bids and up for asks. Amounts are rounded down to the
+ * decimals of the base currency.
+ */
+
+'use strict'
+
+const _ = require('lodash')
+
+const errors = require('./errors')
+const Money = require('./money')
+const currencies = require('./currencies')
+const nodeify = require('./promise').nodeify
+
+const TYPES = ['bid', 'ask']
+const PRICE_TYPES = ['limit', 'market']
+
+/**
+ * @param client   - client the order is sent with
+ * @param marketId - market of the order
+ */
+function OrderBuilder (client, marketId) {
+  this.client = client
+  this.marketId = marketId
+  this.fields = {}
+}
+
+OrderBuilder.prototype.bid = function () {
+  return this.type('bid')
+}
+
+OrderBuilder.prototype.ask = function () {
+  return this.type('ask')
+}
+
+/**
+ * @param type - `bid` or `ask`
+ */
+OrderBuilder.prototype.type = function (type) {
+  this.fields.type = type
+  return this
+}
+
+/**
+ * @param priceType - `limit` or `market`
+ */
+OrderBuilder.prototype.priceType = function (priceType) {
+  this.fields.price_type = priceType
+  return this
+}
+
+/**
+ * Limit order at `price`
+ *
+ * @param price - price in the quote currency, number, string or Money
+ */
+OrderBuilder.prototype.limit = function (price) {
+  this.fields.price_type = 'limit'
+  this.fields.limit = price
+  return this
+}
+
+/**
+ * Market order, traded at the best available prices
+ */
+OrderBuilder.prototype.market = function () {
+  this.fields.price_type = 'market'
+  return this
+}
+
+/**
+ * Stop order, sent to the market once it trades at `price`. A market order
+ * unless a limit is given as well.
+ *
+ * @param price - stop price in the quote currency, number, string or Money
+ */
+OrderBuilder.prototype.stop = function (price) {
+  this.fields.stop = price
+
+  if (!this.fields.price_type) {
+    this.fields.price_type = 'market'
+  }
+  return this
+}
+
+/**
+ * @param amount - amount of the base currency, number, string or Money
+ */
+OrderBuilder.prototype.amount = function (amount) {
+  this.fields.amount = amount
+  return this
+}
+
+/**
+ * @param key - idempotency key, makes `createOrder` safe to retry
+ */
+OrderBuilder.prototype.idempotencyKey = function (key) {
+  this.fields.idempotency_key = key
+  return this
+}
+
+/**
+ * Resolves with the validated `createOrder` payload, or rejects with every
+ * problem found
+ */
+OrderBuilder.prototype.build = function () {
+  const self = this
+  const lookup = self.client.markets ? self.client.markets.get(self.marketId) : Promise.resolve(null)
+
+  return lookup.then(function (market) {
+    const problems = {}
+    const order = validate(self.fields, market, problems)
+
+    if (!_.isEmpty(problems)) {
+      throw new errors.SurbtcValidationError('InvalidRequest:InvalidOrder', {
+        statusCode: 400,
+        errors: problems
+      })
+    }
+
+    return order
+  })
+}
+
+/**
+ * Build the order and create it
+ *
+ * @param options  - (optional) options of the `createOrder` call
+ * @param callback - (optional) `(error, response)` callback
+ */
+OrderBuilder.prototype.submit = function (options, callback) {
+  const self = this
+
+  if (_.isFunction(options)) {
+    callback = options
+    options = undefined
+  }
+
+  return nodeify(self.build().then(function (order) {
+    return self.client.createOrder(self.marketId, order, options)
+  }), callback)
+}
+
+function validate (fields, market, problems) {
+  const order = {}
+  const add = function (field, problem) {
+    (problems[field] = problems[field] || []).push(problem)
+  }
+
+  if (!_.includes(TYPES, fields.type)) {
+    add('type', 'must be one of ' + TYPES.join(', '))
+  }
+  order.type = fields.type
+
+  if (!_.includes(PRICE_TYPES, fields.price_type)) {
+    add('price_type', 'must be one of ' + PRICE_TYPES.join(', '))
+  }
+  order.price_type = fields.price_type
+
+  if (fields.price_type === 'limit') {
+    const limit = amountOf(fields.limit, market && market.quoteCurrency, 'limit', add)
+
+    if (limit) {
+      const rounded = market && market.tickSize ? toTick(limit, market.tickSize, fields.type) : limit
+
+      order.limit = rounded.toNumber()
+    }
+  } else if (fields.price_type === 'market' && !_.isNil(fields.limit)) {
+    add('limit', 'must be empty for market orders')
+  }
+
+  if (!_.isNil(fields.stop)) {
+    const stop = amountOf(fields.stop, market && market.quoteCurrency, 'stop', add)
+
+    if (stop) {
+      const rounded = market && market.tickSize ? toTick(stop, market.tickSize, fields.type) : stop
+
+      order.stop = rounded.toNumber()
+    }
+  }
+
+  const amount = amountOf(fields.amount, market && market.baseCurrency, 'amount', add)
+
+  if (amount) {
+    const decimals = market && currencies.has(market.baseCurrency) && currencies.get(market.baseCurrency).decimals
+    const rounded = _.isNumber(decimals) ? amount.round(decimals, Money.Rounding.down) : amount
+
+    if (!rounded.isPositive()) {
+      add('amount', 'must be greater than 0')
+    } else if (market && market.minimumOrderAmount && rounded.compare(market.minimumOrderAmount) < 0) {
+      add('amount', 'must be at least ' + market.minimumOrderAmount.toString())
+    }
+    order.amount = rounded.toNumber()
+  }
+
+  if (fields.idempotency_key) {
+    order.idempotency_key = fields.idempotency_key
+  }
+
+  return order
+}
+
+// Money of a positive order field, or undefined after adding its problems
+function amountOf (value, currency, field, add) {
+  if (_.isNil(value) || value === '') {
+    add(field, 'is required')
+    return
+  }
+
+  if (Money.isMoney(value) && currency && value.currency !== currency) {
+    add(field, 'must be in ' + currency)
+    return
+  }
+
+  let amount
+
+  try {
+    // A plain decimal when the market is not known
+    amount = Money.isMoney(value) ? value : Money.of(value, currency || null)
+  } catch (err) {
+    add(field, 'must be a number')
+    return
+  }
+
+  if (!amount.isPositive()) {
+    add(field, 'must be greater than 0')
+    return
+  }
+
+  return amount
+}
+
+function toTick (price, tickSize, type) {
+  const rounding = type === 'ask' ? Money.Rounding.ceil : Money.Rounding.floor
+
+  return price.dividedBy(tickSize.amount, 0, rounding).times(tickSize.amount)
+}
+
+module.exports = OrderBuilder
@@ -0,0 +1,101 @@
+/**
+ * Order filter
+ * Select orders of an api response by their fields
+ *
+ * Every given criterion must match, an empty filter matches every order.
+ *
+ *
+ * Criteria
+ *
+ * type        - `bid` or `ask`
+ * price_type  - `limit` or `market`
+ * state       - order state, e.g. `pending`
+ * minPrice    - lowest limit price, in the quote currency. Orders without a
+ *               limit price never match a price range
+ * maxPrice    - highest limit price, in the quote currency
+ * olderThan   - milliseconds, orders created at least this long ago
+ * newerThan   - milliseconds, orders created at most this long ago
+ * since       - Date (or date string), orders created at or after it
+ * until       - Date (or date string), orders created before it
+ */
+
+'use strict'
+
+const _ = require('lodash')
+
+const Money = require('./money')
+
+/**
+ * Whether an order matches a filter
+ *
+ * @param order  - order of an api response, amounts parsed as Money
+ * @param filter - (optional) criteria, see above
+ * @param now    - (optional) current time in milliseconds, for the ages
+ */
+function matches (order, filter, now) {
+  filter = filter || {}
+  now = now === undefined ? Date.now() : now
+
+  if (filter.type && order.type !== filter.type) {
+    return false
+  }
+
+  if (filter.price_type && order.price_type !== filter.price_type) {
+    return false
+  }
+
+  if (filter.state && order.state !== filter.state) {
+    return false
+  }
+
+  if (!_.isNil(filter.minPrice) || !_.isNil(filter.maxPrice)) {
+    if (_.isNil(order.limit)) {
+      return false
+    }
+
+    const limit = Money.isMoney(order.limit) ? order.limit : Money.decimal(order.limit)
+
+    if (!_.isNil(filter.minPrice) && limit.compare(price(filter.minPrice, limit)) < 0) {
+      return false
+    }
+
+    if (!_.isNil(filter.maxPrice) && limit.compare(price(filter.maxPrice, limit)) > 0) {
+      return false
+    }
+  }
+
+  if (_.some(['olderThan', 'newerThan', 'since', 'until'], function (key) { return !_.isNil(filter[key]) })) {
+    const createdAt = Date.parse(order.created_at)
+
+    if (_.isNaN(createdAt)) {
+      return false
+    }
+
+    if (!_.isNil(filter.olderThan) && now - createdAt < filter.olderThan) {
+      return false
+    }
+
+    if (!_.isNil(filter.newerThan) && now - createdAt > filter.newerThan) {
+      return false
+    }
+
+    if (!_.isNil(filter.since) && createdAt < new Date(filter.since).getTime()) {
+      return false
+    }
+
+    if (!_.isNil(filter.until) && createdAt >= new Date(filter.until).getTime()) {
+      return false
+    }
+  }
+
+  return true
+}
+
+// Price of a filter in the currency of the order limit
+function price (value, limit) {
+  return Money.of(value, limit.currency)
+}
+
+module.exports = {
+  matches: matches
+}
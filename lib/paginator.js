@@ -0,0 +1,133 @@
+/**
+ * Paginator
+ * Async iterator over the items of a paginated endpoint
+ *
+ *   for await (const order of client.iterateOrders('btc-clp', {state: 'traded'})) {
+ *     ...
+ *   }
+ *
+ * Pages are fetched one at a time, when the items of the previous one have
+ * been consumed, and only until the last page (`meta.total_pages`) or an
+ * empty one. Breaking out of the loop stops it, no more pages are fetched.
+ *
+ *
+ * Options
+ *
+ * items      - property of the responses holding the items, e.g. `orders`
+ * filter     - (optional) function (item) selecting the items to yield, for
+ *              the filters the server does not apply
+ * firstPage  - (optional) number of the first page, 1 by default
+ */
+
+'use strict'
+
+const _ = require('lodash')
+
+/**
+ * @param fetchPage - function (page) returning a promise of the response of a page
+ * @param options   - see above
+ */
+function Paginator (fetchPage, options) {
+  this.fetchPage = fetchPage
+  this.items = options.items
+  this.filter = options.filter || _.constant(true)
+  this.page = options.firstPage || 1
+  this.totalPages = Infinity
+  this.buffer = []
+  this.done = false
+  this.stopped = false
+  this.pending = Promise.resolve()
+}
+
+Paginator.prototype[Symbol.asyncIterator] = function () {
+  return this
+}
+
+/**
+ * Resolves with the next item, fetching the next page when needed
+ */
+Paginator.prototype.next = function () {
+  const self = this
+
+  // Calls are served in order, so concurrent ones never fetch a page twice
+  const next = self.pending.then(function () {
+    return self._next()
+  })
+
+  self.pending = next.catch(_.noop)
+
+  return next
+}
+
+/**
+ * Stop the iteration, called by `for await` when the loop is left early
+ */
+Paginator.prototype.return = function (value) {
+  this.stopped = true
+  this.buffer = []
+
+  return Promise.resolve({value: value, done: true})
+}
+
+/**
+ * Resolves with every remaining item
+ */
+Paginator.prototype.toArray = function () {
+  const self = this
+  const items = []
+
+  const collect = function () {
+    return self.next().then(function (result) {
+      if (result.done) {
+        return items
+      }
+
+      items.push(result.value)
+      return collect()
+    })
+  }
+
+  return collect()
+}
+
+Paginator.prototype._next = function () {
+  const self = this
+
+  if (self.stopped) {
+    return Promise.resolve({value: undefined, done: true})
+  }
+
+  if (!_.isEmpty(self.buffer)) {
+    return Promise.resolve({value: self.buffer.shift(), done: false})
+  }
+
+  if (self.done || self.page > self.totalPages) {
+    self.done = true
+    return Promise.resolve({value: undefined, done: true})
+  }
+
+  return self.fetchPage(self.page).then(function (response) {
+    if (self.stopped) {
+      return {value: undefined, done: true}
+    }
+
+    const items = response[self.items] || []
+    const meta = response.meta || {}
+
+    self.page = _.toNumber(meta.current_page || self.page) + 1
+    self.totalPages = _.isNil(meta.total_pages) ? Infinity : _.toNumber(meta.total_pages)
+
+    if (_.isEmpty(items)) {
+      self.done = true
+    }
+
+    self.buffer = _.filter(items, self.filter)
+
+    return self._next()
+  }, function (error) {
+    self.done = true
+    throw error
+  })
+}
+
+module.exports = Paginator
@@ -0,0 +1,71 @@
+/**
+ * Promise helpers
+ * Bridge the `(error, response)` callback contract of the client and promises
+ *
+ * Every public method of the client accepts an optional trailing callback.
+ * When it is given the method behaves as it always did, when it is left out
+ * the method returns a Promise that resolves with the response or rejects
+ * with the same error object the callback would have received.
+ */
+
+'use strict'
+
+const _ = require('lodash')
+
+module.exports = {
+  nodeify: nodeify,
+  mapLimit: mapLimit
+}
+
+/**
+ * Settle a callback from a promise, or hand the promise back when there is
+ * no callback. The callback runs outside of the promise chain so an
+ * exception thrown inside it is not swallowed as a rejection.
+ *
+ * @param promise  - promise to settle
+ * @param callback - (optional) `(error, response)` callback
+ */
+function nodeify (promise, callback) {
+  if (!_.isFunction(callback)) {
+    return promise
+  }
+
+  promise.then(function (response) {
+    process.nextTick(callback, null, response)
+  }, function (error) {
+    process.nextTick(callback, error, null)
+  })
+}
+
+/**
+ * Map `items` through `iteratee(item, index)`, which returns a promise,
+ * running at most `concurrency` of them at a time. Resolves with the results
+ * in the order of `items`, or rejects with the first error.
+ *
+ * @param items       - array to map
+ * @param concurrency - maximum number of pending promises
+ * @param iteratee    - function returning a promise of the result of an item
+ */
+function mapLimit (items, concurrency, iteratee) {
+  const results = new Array(items.length)
+  let next = 0
+
+  const worker = function () {
+    if (next >= items.length) {
+      return Promise.resolve()
+    }
+
+    const index = next++
+
+    return Promise.resolve(iteratee(items[index], index)).then(function (result) {
+      results[index] = result
+      return worker()
+    })
+  }
+
+  const workers = _.times(Math.max(1, Math.min(concurrency, items.length)), worker)
+
+  return Promise.all(workers).then(function () {
+    return results
+  })
+}
@@ -0,0 +1,130 @@
+/**
+ * Rate limiter
+ * Token bucket that spaces out requests instead of rejecting them
+ *
+ * The bucket holds up to `bucketSize` tokens and is refilled with
+ * `tokensPerInterval` tokens every `interval` milliseconds. Every request
+ * takes a token, requests that find the bucket empty wait in a queue.
+ *
+ * Queued requests are served by priority, and in arrival order within the
+ * same priority, so e.g. cancels can go ahead of reads when the queue is
+ * backed up. One limiter can be shared by several clients using the same
+ * api key.
+ *
+ *
+ * Options
+ *
+ * tokensPerInterval  - tokens added to the bucket every interval
+ * interval           - refill interval in milliseconds
+ * bucketSize         - maximum number of tokens, i.e. the allowed burst
+ */
+
+'use strict'
+
+const _ = require('lodash')
+
+const Priority = {
+  normal: 0,
+  high: 1
+}
+
+function RateLimiter (options) {
+  options = options || {}
+
+  this.tokensPerInterval = options.tokensPerInterval || 10
+  this.interval = options.interval || 1000
+  this.bucketSize = options.bucketSize || this.tokensPerInterval
+  this.tokens = this.bucketSize
+  this.lastRefill = Date.now()
+  this.queue = []
+  this.timer = null
+}
+
+RateLimiter.Priority = Priority
+
+/**
+ * Resolves once a token is available for the request. When `signal` is
+ * aborted first, the request leaves the queue and it rejects with the reason
+ *
+ * @param priority - (optional) priority of the request, higher goes first
+ * @param signal   - (optional) AbortSignal of the request
+ */
+RateLimiter.prototype.schedule = function (priority, signal) {
+  const self = this
+
+  return new Promise(function (resolve, reject) {
+    if (signal && signal.aborted) {
+      return reject(signal.reason)
+    }
+
+    const onAbort = function () {
+      _.pull(self.queue, entry)
+      if (!self.queue.length && self.timer) {
+        clearTimeout(self.timer)
+        self.timer = null
+      }
+      reject(signal.reason)
+    }
+    const entry = {
+      priority: priority || Priority.normal,
+      resolve: function () {
+        if (signal) {
+          signal.removeEventListener('abort', onAbort)
+        }
+        resolve()
+      }
+    }
+    const index = _.findIndex(self.queue, function (queued) {
+      return queued.priority < entry.priority
+    })
+
+    if (index < 0) {
+      self.queue.push(entry)
+    } else {
+      self.queue.splice(index, 0, entry)
+    }
+
+    if (signal) {
+      signal.addEventListener('abort', onAbort)
+    }
+
+    self._drain()
+  })
+}
+
+/**
+ * Number of requests waiting for a token
+ */
+RateLimiter.prototype.pending = function () {
+  return this.queue.length
+}
+
+RateLimiter.prototype._refill = function () {
+  const now = Date.now()
+  const refilled = (now - this.lastRefill) * this.tokensPerInterval / this.interval
+
+  this.tokens = Math.min(this.bucketSize, this.tokens + refilled)
+  this.lastRefill = now
+}
+
+RateLimiter.prototype._drain = function () {
+  const self = this
+
+  self._refill()
+
+  while (self.queue.length && self.tokens >= 1) {
+    self.tokens -= 1
+    self.queue.shift().resolve()
+  }
+
+  if (self.queue.length && !self.timer) {
+    const wait = Math.ceil((1 - self.tokens) * self.interval / self.tokensPerInterval)
+
+    self.timer = setTimeout(function () {
+      self.timer = null
+      self._drain()
+    }, wait)
+  }
+}
+
+module.exports = RateLimiter
@@ -0,0 +1,82 @@
+/**
+ * Retry policy
+ * Decide whether a failed request is retried and how long to wait before
+ * the next attempt
+ *
+ * Transient failures are retried with an exponential backoff:
+ *
+ *   delay = min(maxDelay, baseDelay * 2 ^ (attempt - 1)) +/- jitter
+ *
+ * A `Retry-After` header sent with the response (e.g. on 429) is honored
+ * when it asks for a longer wait.
+ *
+ *
+ * Options
+ *
+ * maxAttempts  - attempts per request, including the first one (1 disables retries)
+ * baseDelay    - delay in milliseconds before the first retry
+ * maxDelay     - upper bound for the delay between attempts
+ * jitter       - fraction of the delay randomly added or removed, from 0 to 1
+ * statusCodes  - HTTP status codes considered transient
+ * errorCodes   - socket error codes considered transient
+ */
+
+'use strict'
+
+const _ = require('lodash')
+
+const errors = require('./errors')
+
+const defaults = {
+  maxAttempts: 3,
+  baseDelay: 250,
+  maxDelay: 10000,
+  jitter: 0.2,
+  statusCodes: [429, 502, 503, 504],
+  errorCodes: ['ECONNRESET', 'ETIMEDOUT', 'ECONNABORTED', 'ECONNREFUSED', 'EPIPE', 'EAI_AGAIN']
+}
+
+function RetryPolicy (options) {
+  if (options === false) {
+    options = {maxAttempts: 1}
+  }
+
+  _.assign(this, defaults, options)
+}
+
+RetryPolicy.defaults = defaults
+
+/**
+ * Whether the request that failed with `error` on its `attempt`-th try
+ * should be sent again
+ *
+ * @param error   - error the request failed with, see `errors.js`
+ * @param attempt - number of the attempt that failed, starting at 1
+ */
+RetryPolicy.prototype.shouldRetry = function (error, attempt) {
+  if (attempt >= this.maxAttempts) {
+    return false
+  }
+
+  if (error instanceof errors.SurbtcNetworkError) {
+    return _.includes(this.errorCodes, error.code)
+  }
+
+  return _.includes(this.statusCodes, error.statusCode)
+}
+
+/**
+ * Milliseconds to wait after the `attempt`-th try failed with `error`
+ *
+ * @param error   - error the request failed with, see `errors.js`
+ * @param attempt - number of the attempt that failed, starting at 1
+ */
+RetryPolicy.prototype.delay = function (error, attempt) {
+  const backoff = Math.min(this.maxDelay, this.baseDelay * Math.pow(2, attempt - 1))
+  const jitter = backoff * this.jitter * (Math.random() * 2 - 1)
+  const retryAfter = error && error.headers && _.toNumber(error.headers['retry-after'])
+
+  return Math.max(Math.round(backoff + jitter), retryAfter ? retryAfter * 1000 : 0)
+}
+
+module.exports = RetryPolicy
@@ -0,0 +1,91 @@
+/**
+ * Fetch transport
+ * Sends requests with the `fetch` API, for runtimes where it is the only
+ * HTTP client available
+ *
+ * See `superagent.js` for the transport interface.
+ *
+ *
+ * Options
+ *
+ * fetch  - (optional) fetch implementation, the global `fetch` by default
+ */
+
+'use strict'
+
+const _ = require('lodash')
+
+function FetchTransport (options) {
+  options = options || {}
+
+  this.fetch = options.fetch || global.fetch
+}
+
+FetchTransport.prototype.send = function (request) {
+  const self = this
+  const controller = new AbortController()
+  let timer = null
+  let timedOut = false
+
+  if (request.signal) {
+    request.signal.addEventListener('abort', function () {
+      controller.abort()
+    })
+  }
+
+  if (request.timeout) {
+    timer = setTimeout(function () {
+      timedOut = true
+      controller.abort()
+    }, request.timeout)
+  }
+
+  return Promise.resolve().then(function () {
+    return self.fetch(request.url, {
+      method: request.method,
+      headers: request.headers,
+      body: request.body,
+      signal: controller.signal
+    })
+  }).then(function (response) {
+    return response.text().then(function (text) {
+      const headers = {}
+
+      response.headers.forEach(function (value, name) {
+        headers[_.toLower(name)] = value
+      })
+
+      return {
+        status: response.status,
+        headers: headers,
+        text: text
+      }
+    })
+  }).then(function (response) {
+    clearTimeout(timer)
+    return response
+  }, function (error) {
+    clearTimeout(timer)
+    throw timedOut ? timeoutError(request.timeout) : networkError(error)
+  })
+}
+
+function timeoutError (timeout) {
+  const error = new Error('timeout of ' + timeout + 'ms exceeded')
+
+  error.code = 'ETIMEDOUT'
+  error.timeout = timeout
+  return error
+}
+
+function networkError (error) {
+  // fetch fails with a TypeError, the socket error is its cause
+  const cause = error.cause
+
+  if (cause && cause.code && !error.code) {
+    error.code = cause.code
+  }
+  return error
+}
+
+module.exports = FetchTransport
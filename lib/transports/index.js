@@ -0,0 +1,7 @@
+'use strict'
+
+module.exports = {
+  SuperagentTransport: require('./superagent'),
+  HttpTransport: require('./http'),
+  FetchTransport: require('./fetch')
+}
@@ -0,0 +1,84 @@
+/**
+ * Superagent transport
+ * Default transport of the client, sends requests with superagent
+ *
+ *
+ * Transport interface
+ *
+ * A transport is an object with a `send(request)` method returning a Promise.
+ * The request has:
+ *
+ * method   - HTTP method
+ * url      - full url, query string included
+ * headers  - request headers, already signed
+ * body     - (optional) request body, already serialized
+ * timeout  - (optional) milliseconds to wait for the response
+ * signal   - AbortSignal aborting the request
+ *
+ * The promise resolves with `{status, headers, text}` for every response,
+ * whatever its status code, with lower case header names and the raw body.
+ * It rejects only when no response was received, with an error carrying the
+ * socket error `code` (or a `timeout` property when the request timed out).
+ * Signing and response handling stay in the client, so they work the same
+ * whichever transport is used.
+ *
+ *
+ * Options
+ *
+ * agent  - (optional) http(s).Agent used for the requests
+ */
+
+'use strict'
+
+const http = require('superagent')
+
+function SuperagentTransport (options) {
+  options = options || {}
+
+  this.agent = options.agent
+}
+
+SuperagentTransport.prototype.send = function (request) {
+  const self = this
+
+  return new Promise(function (resolve, reject) {
+    const req = http(request.method, request.url)
+      .set(request.headers)
+      .buffer(true)
+      .parse(http.parse.text)
+
+    if (self.agent) {
+      req.agent(self.agent)
+    }
+
+    if (request.body !== undefined) {
+      req.send(request.body)
+    }
+
+    if (request.timeout) {
+      req.timeout(request.timeout)
+    }
+
+    if (request.signal) {
+      request.signal.addEventListener('abort', function () {
+        req.abort()
+      })
+    }
+
+    req.end(function (error, response) {
+      response = response || (error && error.response)
+
+      if (!response) {
+        return reject(error)
+      }
+
+      resolve({
+        status: response.status,
+        headers: response.header,
+        text: response.text
+      })
+    })
+  })
+}
+
+module.exports = SuperagentTransport
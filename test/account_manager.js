@@ -0,0 +1,103 @@
+'use strict'
+
+var Client = require('../')
+var assert = require('chai').assert
+var localServer = require('./fixtures/local_server')
+
+describe('Surbtc REST Client Account Manager', function () {
+  var server
+  var api
+
+  before(function (done) {
+    localServer.start(function (req, res) {
+      var key = req.headers['x-sbtc-apikey']
+
+      if (key === 'broken') {
+        return localServer.json(res, 401, {message: 'Invalid key'})
+      }
+      if (req.url.indexOf('/api/v2/markets/btc-clp/orders') === 0) {
+        return localServer.json(res, 200, {orders: [{id: key, state: 'pending'}], meta: {total_pages: 1}})
+      }
+      localServer.json(res, 200, {balance: {id: 'BTC', amount: [key, 'BTC']}})
+    }, function (started, url) {
+      server = started
+      api = url
+      done()
+    })
+  })
+
+  after(function (done) {
+    server.close(done)
+  })
+
+  function manager () {
+    return new Client.AccountManager({
+      defaults: {api: api, secret: 'secret', retry: false, markets: false},
+      accounts: {
+        chile: {key: 'chile'},
+        colombia: {key: 'colombia'}
+      }
+    })
+  }
+
+  it('should route calls by account name', function () {
+    var accounts = manager()
+
+    assert.deepEqual(accounts.names(), ['chile', 'colombia'])
+    return accounts.account('colombia').getBalances('btc').then(function (response) {
+      assert.deepEqual(response.balance.amount, ['colombia', 'BTC'])
+    })
+  })
+
+  it('should fail on unknown accounts', function () {
+    assert.throws(function () {
+      manager().account('peru')
+    }, 'InvalidRequest:UnknownAccount')
+  })
+
+  it('should fetch the balances of every account', function () {
+    return manager().getBalances('btc').then(function (result) {
+      assert.isTrue(result.success)
+      assert.deepEqual(result.errors, {})
+      assert.deepEqual(result.results.chile.balance.amount, ['chile', 'BTC'])
+      assert.deepEqual(result.results.colombia.balance.amount, ['colombia', 'BTC'])
+    })
+  })
+
+  it('should fetch the orders of every account in a market', function () {
+    return manager().getOrdersByState('btc-clp', 'pending').then(function (result) {
+      assert.equal(result.results.chile.orders[0].id, 'chile')
+      assert.equal(result.results.colombia.orders[0].id, 'colombia')
+    })
+  })
+
+  it('should report failures per account', function (done) {
+    var accounts = manager()
+
+    accounts.add('broken', {key: 'broken'})
+    accounts.all('getBalances', 'btc', function (error, result) {
+      assert(!error)
+      assert.isFalse(result.success)
+      assert.deepEqual(Object.keys(result.results), ['chile', 'colombia'])
+      assert.equal(result.errors.broken.statusCode, 401)
+      done()
+    })
+  })
+
+  it('should accept clients as accounts', function () {
+    var accounts = manager()
+    var client = new Client({api: api, key: 'peru', secret: 'secret'})
+
+    assert.equal(accounts.add('peru', client), client)
+    accounts.remove('chile')
+    assert.deepEqual(accounts.names(), ['colombia', 'peru'])
+  })
+
+  it('should fail on unknown methods', function () {
+    return manager().all('getNothing').then(function () {
+      throw new Error('should have failed')
+    }, function (error) {
+      assert.equal(error.message, 'InvalidRequest:UnknownMethod')
+    })
+  })
+})
@@ -0,0 +1,116 @@
+'use strict'
+
+var Client = require('../')
+var assert = require('chai').assert
+var localServer = require('./fixtures/local_server')
+
+describe('Surbtc REST Client Cancel All Orders', function () {
+  var server
+  var api
+  var cancellations
+  var pending
+  var maxPending
+  var hour = 60 * 60 * 1000
+
+  function order (id, type, priceType, limit, age, state) {
+    return {
+      id: id,
+      type: type,
+      price_type: priceType,
+      state: state || 'pending',
+      limit: limit === null ? null : [String(limit), 'CLP'],
+      amount: ['0.01', 'BTC'],
+      created_at: new Date(Date.now() - age).toISOString()
+    }
+  }
+
+  var orders = [
+    order(1, 'bid', 'limit', 9000000, 2 * hour),
+    order(2, 'bid', 'limit', 9100000, 2 * hour),
+    order(3, 'ask', 'limit', 9500000, 2 * hour),
+    order(4, 'ask', 'market', null, 10 * 1000),
+    order(5, 'bid', 'limit', 8000000, 10 * 1000),
+    order(6, 'bid', 'limit', 8000000, 3 * hour, 'traded')
+  ]
+
+  before(function (done) {
+    localServer.start(function (req, res) {
+      if (req.method === 'GET') {
+        return localServer.json(res, 200, {orders: orders, meta: {current_page: 1, total_pages: 1, total_count: orders.length}})
+      }
+
+      var id = Number(req.url.split('/').pop())
+
+      cancellations.push(id)
+      pending++
+      maxPending = Math.max(maxPending, pending)
+
+      setTimeout(function () {
+        pending--
+        if (id === 2) {
+          return localServer.json(res, 200, {order: {id: id, state: 'traded'}})
+        }
+        if (id === 3) {
+          return localServer.json(res, 422, {message: 'Order can not be canceled'})
+        }
+        localServer.json(res, 200, {order: {id: id, state: 'canceling'}})
+      }, 10)
+    }, function (started, url) {
+      server = started
+      api = url
+      done()
+    })
+  })
+
+  beforeEach(function () {
+    cancellations = []
+    pending = 0
+    maxPending = 0
+  })
+
+  after(function (done) {
+    server.close(done)
+  })
+
+  function client (options) {
+    return new Client(Object.assign({api: api, key: 'key', secret: 'secret', retry: false, markets: false}, options))
+  }
+
+  it('should cancel every pending order and report each of them', function () {
+    return client().cancelAllOrders('btc-clp').then(function (report) {
+      assert.sameMembers(cancellations, [1, 2, 3, 4, 5])
+      assert.isFalse(report.success)
+      assert.sameMembers(report.canceled.map(function (order) { return order.id }), [1, 4, 5])
+      assert.deepEqual(report.traded, [{id: 2, state: 'traded'}])
+      assert.lengthOf(report.failed, 1)
+      assert.equal(report.failed[0].order.id, 3)
+      assert.equal(report.failed[0].error.statusCode, 422)
+    })
+  })
+
+  it('should cancel the orders matching the filter only', function () {
+    var surbtc = client()
+
+    return surbtc.cancelAllOrders('btc-clp', {type: 'bid', minPrice: 8500000, maxPrice: '9050000'}).then(function (report) {
+      assert.deepEqual(cancellations, [1])
+      assert.isTrue(report.success)
+      cancellations = []
+      return surbtc.cancelAllOrders('btc-clp', {olderThan: hour, price_type: 'limit', type: 'ask'})
+    }).then(function () {
+      assert.deepEqual(cancellations, [3])
+      cancellations = []
+      return surbtc.cancelAllOrders('btc-clp', {newerThan: hour})
+    }).then(function () {
+      assert.sameMembers(cancellations, [4, 5])
+    })
+  })
+
+  it('should cancel a limited number of orders at a time', function (done) {
+    client().cancelAllOrders('btc-clp', {}, {concurrency: 2}, function (error, report) {
+      assert(!error)
+      assert.equal(maxPending, 2)
+      assert.lengthOf(report.canceled, 3)
+      done()
+    })
+  })
+})
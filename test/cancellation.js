@@ -0,0 +1,132 @@
+'use strict'
+
+var Client = require('../')
+var AbortController = require('../lib/abort')
+var errors = require('../lib/errors')
+var assert = require('chai').assert
+var localServer = require('./fixtures/local_server')
+
+describe('Surbtc REST Client Timeouts and Cancellation', function () {
+  var server
+  var api
+  var requests
+
+  before(function (done) {
+    localServer.start(function (req, res) {
+      requests++
+      if (req.url === '/api/v2/markets/slow/order_book') {
+        return setTimeout(function () {
+          localServer.json(res, 200, {order_book: {}})
+        }, 200)
+      }
+      if (req.url.indexOf('/api/v2/markets/slow/orders') === 0) {
+        return setTimeout(function () {
+          localServer.json(res, 200, {orders: [], meta: {current_page: 1, total_pages: 1, total_count: 0}})
+        }, 200)
+      }
+      localServer.json(res, 200, {order: {id: 1, state: 'pending'}})
+    }, function (started, url) {
+      server = started
+      api = url
+      done()
+    })
+  })
+
+  beforeEach(function () {
+    requests = 0
+  })
+
+  after(function (done) {
+    server.close(done)
+  })
+
+  function client (options) {
+    return new Client(Object.assign({api: api, key: 'key', secret: 'secret', retry: false, markets: false}, options))
+  }
+
+  function expectFailure (promise, ErrorClass) {
+    return promise.then(function () {
+      throw new Error('should have failed')
+    }, function (error) {
+      assert.instanceOf(error, ErrorClass)
+      return error
+    })
+  }
+
+  it('should time out slow responses', function () {
+    return expectFailure(client({timeout: 50}).getOrderBook('slow'), errors.SurbtcNetworkError).then(function (error) {
+      assert.equal(error.reason, 'timeout')
+    })
+  })
+
+  it('should take the timeout given with the call over the client one', function () {
+    var promise = client({timeout: 5000}).getOrderBook('slow', {timeout: {response: 50}})
+
+    return expectFailure(promise, errors.SurbtcNetworkError).then(function (error) {
+      assert.equal(error.reason, 'timeout')
+    })
+  })
+
+  it('should apply the timeout given with the call to the requests it makes', function () {
+    var promise = client({timeout: 5000}).getOrders('slow', {timeout: {response: 50}})
+
+    return expectFailure(promise, errors.SurbtcNetworkError).then(function (error) {
+      assert.equal(error.reason, 'timeout')
+    })
+  })
+
+  it('should abort in-flight requests', function () {
+    var controller = new AbortController()
+    var promise = client().getOrderBook('slow', {signal: controller.signal})
+
+    setTimeout(function () {
+      controller.abort()
+    }, 20)
+
+    return expectFailure(promise, errors.SurbtcAbortError).then(function (error) {
+      assert.equal(error.error_type, 'aborted')
+    })
+  })
+
+  it('should not send requests with an aborted signal', function (done) {
+    var controller = new AbortController()
+
+    controller.abort()
+    client().getOrderId(1, {signal: controller.signal}, function (error, response) {
+      assert.instanceOf(error, errors.SurbtcAbortError)
+      assert(!response)
+      assert.equal(requests, 0)
+      done()
+    })
+  })
+
+  it('should stop polling once aborted', function () {
+    var controller = new AbortController()
+    var order = {success: true, order: {id: 1, state: 'pending'}}
+    var promise = client().pollOrderState(order, 'traded', {signal: controller.signal})
+
+    setTimeout(function () {
+      controller.abort()
+    }, 100)
+
+    return expectFailure(promise, errors.SurbtcAbortError).then(function () {
+      var sent = requests
+
+      return new Promise(function (resolve) {
+        setTimeout(function () {
+          assert.equal(requests, sent)
+          resolve()
+        }, 600)
+      })
+    })
+  })
+
+  it('should time out the whole operation', function () {
+    var promise = client().createAndTradeOrder('btc-clp', {type: 'bid'}, {timeout: {operation: 150}})
+
+    return expectFailure(promise, errors.SurbtcNetworkError).then(function (error) {
+      assert.equal(error.reason, 'timeout')
+      assert.match(error.message, /Operation timed out/)
+    })
+  })
+})
@@ -1,5 +1,6 @@
 'use strict'
 
+var _ = require('lodash')
 var Client = require('../')
 var assert = require('chai').assert
 var accountSecret = require('./fixtures/account_info').secret
@@ -16,7 +17,7 @@ describe('Surbtc REST Client Create Order', function () {
     async.eachSeries(orders, function (order, callback) {
       it('should create order ' + JSON.stringify(order) + ' in market ' + marketId, function (done) {
         var client = new Client({
-          api: 'https://stg.surbtc.com/api/v1',
+          environment: 'staging',
           key: accountKey,
           secret: accountSecret
         })
@@ -38,14 +39,16 @@ describe('Surbtc REST Client Create Order', function () {
     async.eachSeries(orders, function (order, callback) {
       it('should fail to create order ' + JSON.stringify(order) + ' in market ' + marketId, function (done) {
         var client = new Client({
-          api: 'https://stg.surbtc.com/api/v1',
+          environment: 'staging',
           secret: 'jhgkjhgk'
         })
 
         client.createOrder(marketId, order, function (error, response) {
           assert(error)
           assert(!response)
-          assert.deepEqual(errorFixture(error), error)
+          assert.instanceOf(error, Client.errors.SurbtcAuthError)
+          assert.equal(error.message, 'InvalidRequest:ApiKeyRequired')
+          assert.deepEqual(errorFixture(error.toJSON()), _.omit(error.toJSON(), 'message'))
           done()
         })
         client = undefined
@@ -0,0 +1,165 @@
+'use strict'
+
+var fs = require('fs')
+var os = require('os')
+var path = require('path')
+var Client = require('../')
+var Credentials = require('../lib/credentials')
+var assert = require('chai').assert
+var localServer = require('./fixtures/local_server')
+
+describe('Surbtc REST Client Credentials', function () {
+  var server
+  var api
+  var requests
+  var validKey
+
+  before(function (done) {
+    localServer.start(function (req, res) {
+      requests.push(req.headers['x-sbtc-apikey'])
+      if (req.headers['x-sbtc-apikey'] !== validKey) {
+        return localServer.json(res, 401, {message: 'Invalid key'})
+      }
+      localServer.json(res, 200, {balance: {id: 'BTC'}})
+    }, function (started, url) {
+      server = started
+      api = url
+      done()
+    })
+  })
+
+  beforeEach(function () {
+    requests = []
+    validKey = 'new-key'
+  })
+
+  after(function (done) {
+    server.close(done)
+  })
+
+  function tempFile (name, content) {
+    var file = path.join(os.tmpdir(), 'surbtc-' + process.pid + '-' + name)
+
+    fs.writeFileSync(file, content)
+    return file
+  }
+
+  it('should read static credentials', function () {
+    var credentials = new Credentials({key: 'key', secret: 'secret'})
+
+    assert.deepEqual(credentials.current, {key: 'key', secret: 'secret'})
+    return credentials.get().then(function (read) {
+      assert.deepEqual(read, {key: 'key', secret: 'secret'})
+    })
+  })
+
+  it('should read credentials from environment variables', function () {
+    process.env.SURBTC_TEST_KEY = 'env-key'
+    process.env.SURBTC_TEST_SECRET = 'env-secret'
+
+    var provider = new Credentials.EnvProvider({key: 'SURBTC_TEST_KEY', secret: 'SURBTC_TEST_SECRET'})
+
+    return new Credentials(provider).get().then(function (read) {
+      delete process.env.SURBTC_TEST_KEY
+      delete process.env.SURBTC_TEST_SECRET
+      assert.deepEqual(read, {key: 'env-key', secret: 'env-secret'})
+    })
+  })
+
+  it('should read credentials from JSON files', function () {
+    var file = tempFile('credentials.json', JSON.stringify({trading: {key: 'json-key', secret: 'json-secret'}}))
+    var provider = new Credentials.FileProvider({path: file, profile: 'trading'})
+
+    return new Credentials(provider).get().then(function (read) {
+      fs.unlinkSync(file)
+      assert.deepEqual(read, {key: 'json-key', secret: 'json-secret'})
+    })
+  })
+
+  it('should read credentials from INI files', function () {
+    var file = tempFile('credentials', '; surbtc\n[default]\nkey = ini-key\nsecret = "ini-secret"\n')
+    var provider = new Credentials.FileProvider({path: file, profile: 'default'})
+
+    return new Credentials(provider).get().then(function (read) {
+      fs.unlinkSync(file)
+      assert.deepEqual(read, {key: 'ini-key', secret: 'ini-secret'})
+    })
+  })
+
+  it('should sign with credentials from an async callback', function () {
+    var surbtc = new Client({
+      api: api,
+      retry: false,
+      credentials: function () {
+        return Promise.resolve({key: 'new-key', secret: 'secret'})
+      }
+    })
+
+    return surbtc.getBalances('btc').then(function () {
+      assert.deepEqual(requests, ['new-key'])
+      assert.equal(surbtc.key, 'new-key')
+    })
+  })
+
+  it('should require both the key and the secret', function () {
+    var surbtc = new Client({api: api, secret: 'secret'})
+
+    return surbtc.getBalances('btc').then(function () {
+      throw new Error('should have failed')
+    }, function (error) {
+      assert.equal(error.message, 'InvalidRequest:ApiKeyRequired')
+      assert.lengthOf(requests, 0)
+    })
+  })
+
+  it('should fail with an auth error when the credentials cannot be read', function () {
+    var surbtc = new Client({
+      api: api,
+      credentials: new Credentials.FileProvider(path.join(os.tmpdir(), 'surbtc-missing.json'))
+    })
+
+    return surbtc.getBalances('btc').then(function () {
+      throw new Error('should have failed')
+    }, function (error) {
+      assert.equal(error.name, 'SurbtcAuthError')
+      assert.match(error.message, /^Unable to read the credentials/)
+    })
+  })
+
+  it('should read the credentials again after a 401', function () {
+    var key = 'old-key'
+    var surbtc = new Client({
+      api: api,
+      retry: false,
+      credentials: function () {
+        return {key: key, secret: 'secret'}
+      }
+    })
+
+    return surbtc.getBalances('btc').then(function () {
+      throw new Error('should have failed')
+    }, function (error) {
+      assert.equal(error.statusCode, 401)
+      assert.deepEqual(requests, ['old-key'])
+
+      key = 'new-key'
+      requests = []
+      validKey = 'new-key'
+      return surbtc.getBalances('btc')
+    }).then(function () {
+      assert.deepEqual(requests, ['old-key', 'new-key'])
+    })
+  })
+
+  it('should sign with rotated credentials', function () {
+    var surbtc = new Client({api: api, key: 'old-key', secret: 'secret', retry: false})
+
+    return surbtc.rotateCredentials({key: 'new-key', secret: 'secret'}).then(function (response) {
+      assert.isTrue(response.success)
+      return surbtc.getBalances('btc')
+    }).then(function () {
+      assert.deepEqual(requests, ['new-key'])
+      assert.equal(surbtc.key, 'new-key')
+    })
+  })
+})
@@ -0,0 +1,104 @@
+'use strict'
+
+var Client = require('../')
+var currencies = require('../lib/currencies')
+var assert = require('chai').assert
+var localServer = require('./fixtures/local_server')
+
+describe('Surbtc REST Client Currencies', function () {
+  var server
+  var api
+  var received
+
+  before(function (done) {
+    localServer.start(function (req, res, body) {
+      received = body
+      localServer.json(res, 200, {})
+    }, function (started, url) {
+      server = started
+      api = url
+      done()
+    })
+  })
+
+  beforeEach(function () {
+    received = undefined
+  })
+
+  after(function (done) {
+    server.close(done)
+  })
+
+  function client () {
+    return new Client({api: api, key: 'key', secret: 'secret', retry: false})
+  }
+
+  function expectError (promise, message) {
+    return promise.then(function () {
+      throw new Error('should have failed')
+    }, function (error) {
+      assert.equal(error.message, message)
+      assert.equal(error.error_type, 'invalid_request')
+      assert.isUndefined(received)
+    })
+  }
+
+  it('should list the supported currencies', function () {
+    var codes = currencies.list().map(function (currency) { return currency.code })
+
+    assert.includeMembers(codes, ['BTC', 'ETH', 'BCH', 'LTC', 'CLP', 'COP', 'PEN', 'ARS', 'USDC'])
+    assert.deepEqual(currencies.get('btc'), {
+      code: 'BTC',
+      type: 'crypto',
+      decimals: 8,
+      factor: 100000000,
+      addressFormat: 'base58check',
+      network: 'bitcoin'
+    })
+    assert.equal(currencies.get('clp').type, 'fiat')
+    assert.isFalse(currencies.has('XRP'))
+  })
+
+  it('should register new currencies', function () {
+    currencies.register({code: 'uyu', type: 'fiat', decimals: 2})
+
+    assert.equal(currencies.get('UYU').factor, 100)
+  })
+
+  it('should convert withdrawals with the currency decimals', function () {
+    var opts = {
+      amount: '0.5',
+      currency: 'eth',
+      target_address: '0x52908400098527886E0F7030069857D2E4169EE7'
+    }
+
+    return client().requestWithdrawal(opts).then(function () {
+      assert.deepEqual(received, {
+        withdrawal_data: {target_address: opts.target_address},
+        amount: 500000000,
+        currency: 'ETH'
+      })
+      return client().requestWithdrawal({amount: 150.5, currency: 'PEN'})
+    }).then(function () {
+      assert.deepEqual(received, {withdrawal_data: {}, amount: 15050, currency: 'PEN'})
+    })
+  })
+
+  it('should convert deposits with the currency decimals', function () {
+    return client().registerDeposit({amount: 2500.75, currency: 'ars'}).then(function () {
+      assert.deepEqual(received, {amount: 250075, currency: 'ARS'})
+    })
+  })
+
+  it('should fail on unknown currencies', function () {
+    return expectError(client().requestWithdrawal({amount: 1, currency: 'XRP', target_address: 'r'}), 'InvalidRequest:UnknownCurrency').then(function () {
+      return expectError(client().registerDeposit({amount: 1, currency: 'XRP'}), 'InvalidRequest:UnknownCurrency')
+    })
+  })
+
+  it('should validate the addresses of crypto withdrawals', function () {
+    return expectError(client().requestWithdrawal({amount: 1, currency: 'USDC', target_address: '0x123'}), 'InvalidRequest:InvalidAddress').then(function () {
+      return expectError(client().requestWithdrawal({amount: 1, currency: 'LTC'}), 'InvalidRequest:InvalidAddress')
+    })
+  })
+})
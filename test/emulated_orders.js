@@ -0,0 +1,160 @@
+'use strict'
+
+var Client = require('../')
+var assert = require('chai').assert
+var localServer = require('./fixtures/local_server')
+
+describe('Surbtc REST Client Emulated Orders', function () {
+  var server
+  var api
+  var prices
+  var orders
+  var cancellations
+
+  before(function (done) {
+    localServer.start(function (req, res, body) {
+      if (req.url === '/api/v2/markets') {
+        return localServer.json(res, 200, {
+          markets: [{id: 'BTC-CLP', name: 'btc-clp', base_currency: 'BTC', quote_currency: 'CLP'}]
+        })
+      }
+      if (req.url === '/api/v2/markets/BTC-CLP/order_book') {
+        var price = prices.length > 1 ? prices.shift() : prices[0]
+
+        if (price === 'error') {
+          return localServer.json(res, 500, {message: 'Internal server error'})
+        }
+        return localServer.json(res, 200, {order_book: {asks: [[String(price), '1']], bids: [[String(price), '1']]}})
+      }
+      if (req.method === 'POST') {
+        orders.push(body)
+        return localServer.json(res, 201, {order: {id: 7, state: 'received'}})
+      }
+      cancellations.push(req.url)
+      localServer.json(res, 200, {order: {id: 7, state: 'canceling'}})
+    }, function (started, url) {
+      server = started
+      api = url
+      done()
+    })
+  })
+
+  beforeEach(function () {
+    orders = []
+    cancellations = []
+  })
+
+  after(function (done) {
+    server.close(done)
+  })
+
+  function client (options) {
+    return new Client(Object.assign({api: api, key: 'key', secret: 'secret', retry: false}, options))
+  }
+
+  it('should sell once the price falls back by the trail', function () {
+    var states = []
+
+    prices = [100, 110, 'error', 120, 115, 108]
+
+    return client().trailingStop('btc-clp', {type: 'ask', amount: '0.5', trail: {percent: 10}, interval: 5}).then(function (order) {
+      assert.match(order.id, /^emulated-/)
+      assert.equal(order.state, 'watching')
+      order.on('state', function (state) {
+        states.push(state)
+      })
+      return order.done
+    }).then(function (order) {
+      assert.deepEqual(states, ['triggered', 'placed'])
+      assert.equal(order.triggerPrice.toString(), '108 CLP')
+      assert.equal(order.lastError.statusCode, 500)
+      assert.equal(order.order.id, 7)
+      assert.lengthOf(orders, 1)
+      assert.deepEqual(orders[0], {type: 'ask', price_type: 'market', amount: 0.5})
+    })
+  })
+
+  it('should buy at a limit once the price reaches the target', function () {
+    prices = [120, 110, 95]
+
+    return client().takeProfit('btc-clp', {type: 'bid', amount: '0.5', target: 100, limit: 96, interval: 5}).then(function (order) {
+      return order.done
+    }).then(function (order) {
+      assert.equal(order.state, 'placed')
+      assert.deepEqual(orders, [{type: 'bid', price_type: 'limit', amount: 0.5, limit: 96}])
+    })
+  })
+
+  it('should be canceled through cancelOrderId before it triggers', function (done) {
+    var surbtc = client()
+
+    prices = [100]
+
+    surbtc.trailingStop('btc-clp', {type: 'ask', amount: '0.5', trail: {amount: 10}, interval: 5}, function (error, order) {
+      assert(!error)
+
+      surbtc.cancelOrderId(order.id, function (error, response) {
+        assert(!error)
+        assert.isTrue(response.success)
+        assert.equal(response.order.id, order.id)
+        assert.equal(response.order.state, 'canceled')
+        assert.equal(order.state, 'canceled')
+        assert.isUndefined(surbtc.emulatedOrders[order.id])
+        assert.lengthOf(cancellations, 0)
+
+        setTimeout(function () {
+          assert.lengthOf(orders, 0)
+          done()
+        }, 30)
+      })
+    })
+  })
+
+  it('should cancel the exchange order once placed', function () {
+    var surbtc = client()
+    var emulated
+
+    prices = [100, 101]
+
+    return surbtc.takeProfit('btc-clp', {type: 'ask', amount: '0.5', target: 101, interval: 5}).then(function (order) {
+      emulated = order
+      return order.done
+    }).then(function () {
+      return emulated.cancel()
+    }).then(function (response) {
+      assert.equal(response.order.state, 'canceled')
+      assert.equal(response.order.order.state, 'canceling')
+      assert.deepEqual(cancellations, ['/api/v2/orders/7'])
+    })
+  })
+
+  it('should forget orders once placed', function () {
+    var surbtc = client()
+
+    prices = [100, 101]
+
+    return surbtc.takeProfit('btc-clp', {type: 'ask', amount: '0.5', target: 101, interval: 5}).then(function (order) {
+      assert.strictEqual(surbtc.emulatedOrders[order.id], order)
+      return order.done
+    }).then(function (order) {
+      assert.isUndefined(surbtc.emulatedOrders[order.id])
+      return surbtc.cancelOrderId(order.order.id)
+    }).then(function (response) {
+      assert.equal(response.order.state, 'canceling')
+      assert.deepEqual(cancellations, ['/api/v2/orders/7'])
+    })
+  })
+
+  it('should validate the order before watching', function () {
+    return client().trailingStop('btc-clp', {type: 'sell', amount: 0, interval: 5}).then(function () {
+      throw new Error('should have failed')
+    }, function (error) {
+      assert.equal(error.message, 'InvalidRequest:InvalidOrder')
+      assert.deepEqual(error.errors, {
+        type: ['must be one of bid, ask'],
+        amount: ['must be a number greater than 0'],
+        trail: ['must have a percent or an amount']
+      })
+    })
+  })
+})
@@ -0,0 +1,83 @@
+'use strict'
+
+var crypto = require('crypto')
+var Client = require('../')
+var endpoints = require('../lib/endpoints')
+var assert = require('chai').assert
+var localServer = require('./fixtures/local_server')
+
+describe('Surbtc REST Client Endpoints', function () {
+  var server
+  var client
+  var received
+
+  before(function (done) {
+    localServer.start(function (req, res, body) {
+      received = {method: req.method, url: req.url, headers: req.headers, body: body}
+      localServer.json(res, 200, {order: {state: 'canceling'}})
+    }, function (started, api) {
+      server = started
+      client = new Client({api: api, key: 'key', secret: 'secret', markets: false})
+      done()
+    })
+  })
+
+  after(function (done) {
+    server.close(done)
+  })
+
+  it('should expose a client method for every endpoint', function () {
+    Object.keys(endpoints).forEach(function (name) {
+      assert.isFunction(client[name], name)
+    })
+  })
+
+  it('should fill path segments and the query string', function () {
+    return client.getExchangeFee('btc-clp', 'bid', true).then(function () {
+      assert.equal(received.method, 'GET')
+      assert.equal(received.url, '/api/v2/markets/btc-clp/fee_percentage?market_order=true&type=Bid')
+    })
+  })
+
+  it('should drop optional path segments', function () {
+    return client.getBalances().then(function () {
+      assert.equal(received.url, '/api/v2/balances')
+    })
+  })
+
+  it('should map arguments into the request body', function () {
+    return client.getReverseQuotation('btc-clp', 'Bid', 100).then(function () {
+      assert.equal(received.method, 'POST')
+      assert.deepEqual(received.body, {quotation: {type: 'bid', reverse: true, amount: 100}})
+    })
+  })
+
+  it('should sign the requested path', function () {
+    return client.getOrdersRaw('btc-clp', 2).then(function () {
+      var message = 'GET ' + received.url + ' ' + received.headers['x-sbtc-nonce']
+      var signature = crypto.createHmac('sha384', 'secret').update(message).digest('hex')
+
+      assert.equal(received.headers['x-sbtc-apikey'], 'key')
+      assert.equal(received.headers['x-sbtc-signature'], signature)
+    })
+  })
+
+  it('should require auth for signed endpoints', function (done) {
+    var unauthenticated = new Client({api: client.api, markets: false})
+
+    unauthenticated.createOrder('btc-clp', {}, function (error, response) {
+      assert(!response)
+      assert.equal(error.error_type, 'invalid_request')
+      assert.equal(error.message, 'InvalidRequest:ApiKeyRequired')
+      done()
+    })
+  })
+
+  it('should fail with the error thrown by a body mapping', function (done) {
+    client.registerBankAccount({bank_name: 'Unknown', bank_currency: 'cop'}, function (error, response) {
+      assert(!response)
+      assert.equal(error.message, 'InvalidRequest:UnknownBank')
+      done()
+    })
+  })
+})
@@ -0,0 +1,112 @@
+'use strict'
+
+var Client = require('../')
+var assert = require('chai').assert
+var localServer = require('./fixtures/local_server')
+
+var TESTNET_ADDRESS = 'mipcBbFg9gMiCh81Kj8tqqdgoZub1ZJRfn'
+var PROD_ADDRESS = '1BvBMSEYstWetqTFn5Au4m4GFg7xJaNVN2'
+
+describe('Surbtc REST Client Environments', function () {
+  var server
+  var api
+  var requests
+
+  before(function (done) {
+    localServer.start(function (req, res, body) {
+      requests.push(body)
+      localServer.json(res, 200, {withdrawal: {id: 1, state: 'pending_preparation'}})
+    }, function (started, url) {
+      server = started
+      api = url
+      done()
+    })
+  })
+
+  beforeEach(function () {
+    requests = []
+  })
+
+  after(function (done) {
+    server.close(done)
+  })
+
+  function withdraw (environment, address) {
+    var client = new Client({api: api, environment: environment, key: 'key', secret: 'secret', retry: false})
+
+    return client.requestWithdrawal({amount: 1, currency: 'BTC', target_address: address})
+  }
+
+  it('should default to production', function () {
+    var client = new Client({})
+
+    assert.equal(client.environment.name, 'production')
+    assert.equal(client.api, 'https://www.surbtc.com/api/v2')
+  })
+
+  it('should build the api url from the profile', function () {
+    var client = new Client({environment: 'staging'})
+
+    assert.equal(client.environment.name, 'staging')
+    assert.equal(client.api, 'https://stg.surbtc.com/api/v2')
+    assert.equal(new Client({environment: 'local'}).api, 'http://localhost:3000/api/v2')
+  })
+
+  it('should merge custom profiles over the built-in ones', function () {
+    var client = new Client({environment: {name: 'staging', version: 'v3'}})
+
+    assert.equal(client.api, 'https://stg.surbtc.com/api/v3')
+    assert.equal(client.environment.networks.BTC, 'testnet')
+  })
+
+  it('should fail on unknown environments', function () {
+    assert.throws(function () {
+      return new Client({environment: 'sandbox'})
+    }, 'InvalidRequest:UnknownEnvironment')
+  })
+
+  it('should validate addresses on the network of the environment', function () {
+    return withdraw('staging', TESTNET_ADDRESS).then(function () {
+      return withdraw('production', PROD_ADDRESS)
+    }).then(function () {
+      assert.lengthOf(requests, 2)
+      return withdraw('production', TESTNET_ADDRESS)
+    }).then(function () {
+      throw new Error('should have failed')
+    }, function (error) {
+      assert.equal(error.message, 'InvalidRequest:InvalidBitcoinAddress')
+      assert.lengthOf(requests, 2)
+    })
+  })
+
+  it('should not guess the network from the api url', function () {
+    var client = new Client({api: api + '/stg', key: 'key', secret: 'secret'})
+
+    return client.requestWithdrawal({amount: 1, currency: 'BTC', target_address: TESTNET_ADDRESS}).then(function () {
+      throw new Error('should have failed')
+    }, function (error) {
+      assert.equal(error.message, 'InvalidRequest:InvalidBitcoinAddress')
+    })
+  })
+
+  it('should enforce the withdrawal limits of the environment', function () {
+    var environment = {name: 'staging', limits: {withdrawals: {CLP: {min: 1000, max: 5000000}}}}
+    var client = new Client({api: api, environment: environment, key: 'key', secret: 'secret'})
+
+    return client.requestWithdrawal({amount: 10, currency: 'CLP'}).then(function () {
+      throw new Error('should have failed')
+    }, function (error) {
+      assert.equal(error.message, 'InvalidRequest:AmountBelowMinimum')
+      return client.requestWithdrawal({amount: 2000, currency: 'CLP'})
+    }).then(function () {
+      assert.deepEqual(requests, [{withdrawal_data: {}, amount: 200000, currency: 'CLP'}])
+    })
+  })
+
+  it('should take the default rate limiter of the environment', function () {
+    var client = new Client({environment: {name: 'local', limits: {rateLimiter: {tokensPerInterval: 2}}}})
+
+    assert.equal(client.rateLimiter.tokensPerInterval, 2)
+    assert.isUndefined(new Client({}).rateLimiter)
+  })
+})
@@ -0,0 +1,120 @@
+'use strict'
+
+var Client = require('../')
+var errors = require('../lib/errors')
+var assert = require('chai').assert
+var localServer = require('./fixtures/local_server')
+
+var responses = {
+  '/api/v2/orders/401': [401, {message: 'invalid_signature'}],
+  '/api/v2/orders/404': [404, {message: 'not_found'}],
+  '/api/v2/orders/422': [422, {message: 'invalid', errors: {amount: ['too small']}}],
+  '/api/v2/orders/429': [429, {message: 'slow_down'}],
+  '/api/v2/orders/500': [500, {message: 'oops'}],
+  '/api/v2/orders/1': [200, {order: {id: 1, state: 'traded'}}]
+}
+
+describe('Surbtc REST Client Errors', function () {
+  var server
+  var client
+
+  before(function (done) {
+    localServer.start(function (req, res) {
+      var response = responses[req.url]
+
+      res.setHeader('X-Request-Id', 'req-' + response[0])
+      localServer.json(res, response[0], response[1])
+    }, function (started, api) {
+      server = started
+      client = new Client({api: api, key: 'key', secret: 'secret', retry: false})
+      done()
+    })
+  })
+
+  after(function (done) {
+    server.close(done)
+  })
+
+  function expectError (orderId, ErrorClass) {
+    return client.getOrderId(orderId).then(function () {
+      throw new Error('should have failed')
+    }, function (error) {
+      assert.instanceOf(error, ErrorClass)
+      assert.instanceOf(error, errors.SurbtcError)
+      assert.instanceOf(error, Error)
+      assert.isString(error.stack)
+      assert.equal(error.statusCode, orderId)
+      assert.equal(error.endpoint, 'GET /orders/' + orderId)
+      assert.equal(error.requestId, 'req-' + orderId)
+      assert.deepEqual(error.body, responses['/api/v2/orders/' + orderId][1])
+      assert.equal(error.success, false)
+      return error
+    })
+  }
+
+  it('should fail with an auth error on 401', function () {
+    return expectError(401, errors.SurbtcAuthError).then(function (error) {
+      assert.equal(error.error_type, 'unauthorized_request')
+      assert.equal(error.message, 'invalid_signature')
+    })
+  })
+
+  it('should fail with a not found error on 404', function () {
+    return expectError(404, errors.SurbtcNotFoundError).then(function (error) {
+      assert.equal(error.error_type, 'invalid_request')
+    })
+  })
+
+  it('should fail with a validation error carrying the errors map on 422', function () {
+    return expectError(422, errors.SurbtcValidationError).then(function (error) {
+      assert.equal(error.error_type, 'unprocessable_entity')
+      assert.deepEqual(error.errors, {amount: ['too small']})
+    })
+  })
+
+  it('should fail with a rate limit error on 429', function () {
+    return expectError(429, errors.SurbtcRateLimitError)
+  })
+
+  it('should fail with a server error on 500', function () {
+    return expectError(500, errors.SurbtcServerError).then(function (error) {
+      assert.equal(error.error_type, 'server')
+    })
+  })
+
+  it('should keep the plain object shape in toJSON', function () {
+    return expectError(422, errors.SurbtcValidationError).then(function (error) {
+      assert.deepEqual(error.toJSON(), {
+        success: false,
+        statusCode: 422,
+        error_type: 'unprocessable_entity',
+        message: 'invalid',
+        errors: {amount: ['too small']}
+      })
+    })
+  })
+
+  it('should fail with an auth error when credentials are missing', function (done) {
+    new Client({api: client.api}).getOrderId(1, function (error) {
+      assert.instanceOf(error, Client.errors.SurbtcAuthError)
+      assert.equal(error.error_type, 'invalid_request')
+      assert.equal(error.message, 'InvalidRequest:ApiKeyRequired')
+      done()
+    })
+  })
+
+  it('should fail with a validation error when an order cannot be canceled', function (done) {
+    client._request({
+      method: 'GET',
+      path: '/orders/:orderId',
+      auth: true,
+      args: ['orderId'],
+      check: require('../lib/endpoints').cancelOrderId.check
+    }, {orderId: 1}).catch(function (error) {
+      assert.instanceOf(error, errors.SurbtcValidationError)
+      assert.equal(error.error_type, 'order_not_valid_for_canceling')
+      assert.equal(error.order.state, 'traded')
+      done()
+    })
+  })
+})
@@ -0,0 +1,174 @@
+'use strict'
+
+var Client = require('../')
+var assert = require('chai').assert
+var localServer = require('./fixtures/local_server')
+
+describe('Surbtc REST Client Events and Hooks', function () {
+  var server
+  var api
+  var requests
+
+  before(function (done) {
+    localServer.start(function (req, res) {
+      requests.push(req)
+      if (req.url === '/api/v2/markets/flaky/order_book' && requests.length === 1) {
+        return localServer.json(res, 503, {message: 'Unavailable'})
+      }
+      if (req.url === '/api/v2/markets/missing/order_book') {
+        return localServer.json(res, 404, {message: 'Not found'})
+      }
+      localServer.json(res, 200, {order_book: {asks: [], bids: []}})
+    }, function (started, url) {
+      server = started
+      api = url
+      done()
+    })
+  })
+
+  beforeEach(function () {
+    requests = []
+  })
+
+  after(function (done) {
+    server.close(done)
+  })
+
+  function client (options) {
+    return new Client(Object.assign({
+      api: api,
+      key: 'key',
+      secret: 'secret',
+      retry: {baseDelay: 1, jitter: 0},
+      markets: false
+    }, options))
+  }
+
+  function record (emitter) {
+    var events = []
+
+    ;['request', 'response', 'retry'].forEach(function (name) {
+      emitter.on(name, function (info) {
+        events.push([name, info])
+      })
+    })
+    emitter.on('error', function (error, info) {
+      events.push(['error', info, error])
+    })
+
+    return events
+  }
+
+  it('should emit request and response events', function () {
+    var surbtc = client()
+    var events = record(surbtc)
+
+    return surbtc.getOrderBook('btc-clp').then(function () {
+      assert.deepEqual(events.map(function (event) { return event[0] }), ['request', 'response'])
+
+      var request = events[0][1]
+      var response = events[1][1]
+
+      assert.equal(request.method, 'GET')
+      assert.equal(request.path, '/markets/btc-clp/order_book')
+      assert.equal(request.attempt, 1)
+      assert.isString(request.correlationId)
+      assert.equal(response.correlationId, request.correlationId)
+      assert.equal(response.status, 200)
+      assert.isNumber(response.duration)
+    })
+  })
+
+  it('should emit retry events with the attempt number', function () {
+    var surbtc = client()
+    var events = record(surbtc)
+
+    return surbtc.getOrderBook('flaky').then(function () {
+      assert.deepEqual(events.map(function (event) { return event[0] }),
+        ['request', 'response', 'retry', 'request', 'response'])
+      assert.equal(events[2][1].status, 503)
+      assert.equal(events[2][1].attempt, 1)
+      assert.isNumber(events[2][1].delay)
+      assert.equal(events[3][1].attempt, 2)
+    })
+  })
+
+  it('should emit error events for failed calls', function () {
+    var surbtc = client()
+    var events = record(surbtc)
+
+    return surbtc.getOrderBook('missing').then(function () {
+      throw new Error('should have failed')
+    }, function (error) {
+      var last = events[events.length - 1]
+
+      assert.equal(last[0], 'error')
+      assert.equal(last[2], error)
+      assert.equal(last[1].status, 404)
+      assert.equal(last[1].path, '/markets/missing/order_book')
+    })
+  })
+
+  it('should not throw when nobody listens to error events', function () {
+    return client().getOrderBook('missing').then(function () {
+      throw new Error('should have failed')
+    }, function (error) {
+      assert.equal(error.statusCode, 404)
+    })
+  })
+
+  it('should use the correlation id given with the call', function () {
+    var surbtc = client()
+    var events = record(surbtc)
+
+    return surbtc.getOrderBook('btc-clp', {correlationId: 'abc'}).then(function () {
+      assert.equal(events[0][1].correlationId, 'abc')
+    })
+  })
+
+  it('should let hooks change the headers of signed requests', function () {
+    var surbtc = client({
+      hooks: {
+        beforeRequest: [
+          function (request) {
+            request.headers['X-Correlation-Id'] = request.correlationId
+          },
+          function (request) {
+            return new Promise(function (resolve) {
+              setTimeout(function () {
+                request.headers['X-Trace'] = request.method + ' ' + request.path
+                resolve()
+              }, 5)
+            })
+          }
+        ]
+      }
+    })
+
+    return surbtc.getBalances('btc', {correlationId: 'abc'}).then(function () {
+      var headers = requests[0].headers
+
+      assert.equal(headers['x-correlation-id'], 'abc')
+      assert.equal(headers['x-trace'], 'GET /balances/btc')
+      assert.equal(headers['x-sbtc-apikey'], 'key')
+      assert.isString(headers['x-sbtc-signature'])
+    })
+  })
+
+  it('should fail the call when a hook throws', function () {
+    var surbtc = client({
+      hooks: {
+        beforeRequest: function () {
+          throw new Error('hook failed')
+        }
+      }
+    })
+
+    return surbtc.getOrderBook('btc-clp').then(function () {
+      throw new Error('should have failed')
+    }, function (error) {
+      assert.equal(error.message, 'hook failed')
+      assert.lengthOf(requests, 0)
+    })
+  })
+})
@@ -0,0 +1,157 @@
+'use strict'
+
+var Client = require('../')
+var Money = require('../lib/money')
+var assert = require('chai').assert
+var localServer = require('./fixtures/local_server')
+
+describe('Surbtc REST Client Execution Policies', function () {
+  var server
+  var api
+  var orders
+  var fills
+  var asks
+  var cancellations
+
+  // Order as served, `fills` holds its amount traded at each poll and the
+  // last one repeats
+  function describeOrder (order) {
+    var traded = order.fills.length > 1 ? order.fills.shift() : order.fills[0]
+    var exchanged = Money.of(traded, 'BTC').times(order.limit)
+
+    return {
+      id: order.id,
+      type: order.type,
+      state: order.canceled ? 'canceled' : traded === order.amount ? 'traded' : 'pending',
+      limit: [String(order.limit), 'CLP'],
+      amount: [order.amount, 'BTC'],
+      traded_amount: [traded, 'BTC'],
+      total_exchanged: [exchanged.amount, 'CLP'],
+      paid_fee: [exchanged.times('0.01').amount, 'CLP']
+    }
+  }
+
+  before(function (done) {
+    localServer.start(function (req, res, body) {
+      if (req.url === '/api/v2/markets/btc-clp/order_book') {
+        return localServer.json(res, 200, {order_book: {asks: asks, bids: []}})
+      }
+
+      if (req.method === 'POST') {
+        var created = {id: orders.length + 1, type: body.type, limit: body.limit, amount: String(body.amount), fills: fills.shift()}
+
+        orders.push(created)
+        return localServer.json(res, 201, {order: describeOrder({id: created.id, type: created.type, limit: created.limit, amount: created.amount, fills: ['0']})})
+      }
+
+      var order = orders[Number(req.url.split('/').pop()) - 1]
+
+      if (req.method === 'PUT') {
+        cancellations.push(order.id)
+        order.canceled = true
+      }
+      localServer.json(res, 200, {order: describeOrder(order)})
+    }, function (started, url) {
+      server = started
+      api = url
+      done()
+    })
+  })
+
+  beforeEach(function () {
+    orders = []
+    cancellations = []
+  })
+
+  after(function (done) {
+    server.close(done)
+  })
+
+  function client (options) {
+    return new Client(Object.assign({api: api, key: 'key', secret: 'secret', retry: false, markets: false}, options))
+  }
+
+  var bid = {type: 'bid', price_type: 'limit', limit: 100, amount: 1}
+
+  it('should cancel fill-or-kill orders not traded in time', function () {
+    fills = [['0', '0.4']]
+
+    return client().createAndTradeOrder('btc-clp', bid, {policy: 'fill_or_kill', within: 50, interval: 10}).then(function (result) {
+      assert.deepEqual(cancellations, [1])
+      assert.equal(result.policy, 'fill_or_kill')
+      assert.isFalse(result.complete)
+      assert.equal(result.order.state, 'canceled')
+      assert.equal(result.filled.toString(), '0.4 BTC')
+      assert.equal(result.averagePrice.toString(), '100 CLP')
+      assert.equal(result.fees.toString(), '0.4 CLP')
+      assert.equal(result.remainder.toString(), '0.6 BTC')
+    })
+  })
+
+  it('should not cancel immediate-or-cancel orders traded at the first check', function () {
+    fills = [['1']]
+
+    return client().createAndTradeOrder('btc-clp', bid, {policy: 'immediate_or_cancel', interval: 5}).then(function (result) {
+      assert.lengthOf(cancellations, 0)
+      assert.isTrue(result.complete)
+      assert.equal(result.remainder.toString(), '0 BTC')
+    })
+  })
+
+  it('should cancel the rest of immediate-or-cancel orders after the first check', function (done) {
+    fills = [['0.25']]
+
+    client().createAndTradeOrder('btc-clp', bid, {policy: 'immediate_or_cancel', interval: 5}, function (error, result) {
+      assert(!error)
+      assert.deepEqual(cancellations, [1])
+      assert.equal(result.filled.toString(), '0.25 BTC')
+      assert.equal(result.remainder.toString(), '0.75 BTC')
+      done()
+    })
+  })
+
+  it('should reprice limit orders at the best price until filled', function () {
+    fills = [['0', '0.5'], ['0.5']]
+    asks = [['100.5', '2']]
+
+    return client().createAndTradeOrder('btc-clp', bid, {policy: 'reprice_until_filled', repriceInterval: 30, interval: 10}).then(function (result) {
+      assert.deepEqual(cancellations, [1])
+      assert.lengthOf(orders, 2)
+      assert.equal(orders[1].limit, 100.5)
+      assert.equal(orders[1].amount, '0.5')
+      assert.isTrue(result.complete)
+      assert.lengthOf(result.orders, 2)
+      assert.equal(result.filled.toString(), '1 BTC')
+      assert.equal(result.averagePrice.toString(), '100.25 CLP')
+      assert.equal(result.fees.toString(), '1.0025 CLP')
+    })
+  })
+
+  it('should stop repricing beyond the maximum slippage', function () {
+    fills = [['0', '0.5']]
+    asks = [['102', '2']]
+
+    return client().createAndTradeOrder('btc-clp', bid, {policy: 'reprice_until_filled', repriceInterval: 30, interval: 10, maxSlippage: 1.5}).then(function (result) {
+      assert.lengthOf(orders, 1)
+      assert.isFalse(result.complete)
+      assert.equal(result.remainder.toString(), '0.5 BTC')
+    })
+  })
+
+  it('should only reprice limit orders', function () {
+    return client().createAndTradeOrder('btc-clp', {type: 'bid', price_type: 'market', amount: 1}, {policy: 'reprice_until_filled'}).then(function () {
+      throw new Error('should have failed')
+    }, function (error) {
+      assert.equal(error.message, 'InvalidRequest:LimitOrderRequired')
+      assert.lengthOf(orders, 0)
+    })
+  })
+
+  it('should fail on unknown policies', function () {
+    return client().createAndTradeOrder('btc-clp', bid, {policy: 'all_or_none'}).then(function () {
+      throw new Error('should have failed')
+    }, function (error) {
+      assert.equal(error.message, 'InvalidRequest:UnknownPolicy')
+    })
+  })
+})
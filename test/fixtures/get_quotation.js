@@ -36,15 +36,13 @@ exports.error = function (args) {
     return {
       success: false,
       statusCode: args.statusCode,
-      error_type: 'server',
-      message: 'not_enough_orders'
+      error_type: 'server'
     }
   } else {
     return {
       success: false,
       statusCode: args.statusCode,
-      error_type: args.error_type,
-      message: args.message
+      error_type: args.error_type
     }
   }
 }
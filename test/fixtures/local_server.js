@@ -0,0 +1,28 @@
+'use strict'
+
+var http = require('http')
+
+// Starts a throwaway HTTP server on a random local port. Every request is
+// handed to `handler(req, res, body)` with its JSON body already parsed, and
+// `callback(server, api)` receives the api url to point a client at
+exports.start = function (handler, callback) {
+  var server = http.createServer(function (req, res) {
+    var body = ''
+
+    req.on('data', function (chunk) {
+      body += chunk
+    })
+    req.on('end', function () {
+      handler(req, res, body ? JSON.parse(body) : undefined)
+    })
+  })
+
+  server.listen(0, '127.0.0.1', function () {
+    callback(server, 'http://127.0.0.1:' + server.address().port + '/api/v2')
+  })
+}
+
+exports.json = function (res, statusCode, body) {
+  res.writeHead(statusCode, {'Content-Type': 'application/json'})
+  res.end(JSON.stringify(body))
+}
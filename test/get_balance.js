@@ -1,5 +1,6 @@
 'use strict'
 
+var _ = require('lodash')
 var Client = require('../')
 var assert = require('chai').assert
 var errorFixture = require('./fixtures/get_balance').error
@@ -14,7 +15,7 @@ describe('Surbtc REST Client Get Balance', function () {
   async.eachSeries(currencies, function (currency, cb) {
     it('should get Balance for currency ' + currency, function (done) {
       var client = new Client({
-        api: 'https://stg.surbtc.com/api/v1',
+        environment: 'staging',
         key: accountKey,
           secret: accountSecret
       })
@@ -39,7 +40,9 @@ describe('Surbtc REST Client Get Balance', function () {
       client.getBalances(currency, function (error, response) {
         assert(error)
         assert(!response)
-        assert.deepEqual(errorFixture(error), error)
+        assert.instanceOf(error, Client.errors.SurbtcAuthError)
+        assert.equal(error.message, 'InvalidRequest:ApiKeyRequired')
+        assert.deepEqual(errorFixture(error.toJSON()), _.omit(error.toJSON(), 'message'))
         done()
       })
     })
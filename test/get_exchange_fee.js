@@ -1,5 +1,6 @@
 'use strict'
 
+var _ = require('lodash')
 var Client = require('../')
 var assert = require('chai').assert
 var accountSecret = require('./fixtures/account_info').secret
@@ -16,7 +17,7 @@ describe('Surbtc REST Client Get Exchange Fee', function () {
     async.eachSeries(markets, function (marketId, callback) {
       it('should get exchange fee for limit order type ' + type + ' in market ' + marketId, function (done) {
         var client = new Client({
-          api: 'https://stg.surbtc.com/api/v1',
+          environment: 'staging',
           key: accountKey,
           secret: accountSecret
         })
@@ -32,7 +33,7 @@ describe('Surbtc REST Client Get Exchange Fee', function () {
 
       it('should get exchange fee for market_order order type ' + type + ' in market ' + marketId, function (done) {
         var client = new Client({
-          api: 'https://stg.surbtc.com/api/v1',
+          environment: 'staging',
           key: accountKey,
           secret: accountSecret
         })
@@ -54,14 +55,16 @@ describe('Surbtc REST Client Get Exchange Fee', function () {
     async.eachSeries(markets, function (marketId, callback) {
       it('should fail to get exchange fee for limit order type ' + type + ' in market ' + marketId, function (done) {
         var client = new Client({
-          api: 'https://stg.surbtc.com/api/v1',
+          environment: 'staging',
           secret: 'jhgkjhgk'
         })
 
         client.getExchangeFee(marketId, type, function (error, response) {
           assert(error)
           assert(!response)
-          assert.deepEqual(errorFixture(error), error)
+          assert.instanceOf(error, Client.errors.SurbtcAuthError)
+          assert.equal(error.message, 'InvalidRequest:ApiKeyRequired')
+          assert.deepEqual(errorFixture(error.toJSON()), _.omit(error.toJSON(), 'message'))
           done()
         })
         client = undefined
@@ -1,5 +1,6 @@
 'use strict'
 
+var _ = require('lodash')
 var Client = require('../')
 var assert = require('chai').assert
 var success = require('./fixtures/get_markets').success
@@ -25,7 +26,8 @@ describe('Surbtc REST Client Get markets', function () {
     client.getMarkets(function (error, response) {
       assert(error)
       assert(!response)
-      assert.deepEqual(errorFixture(error), error)
+      assert.instanceOf(error, Client.errors.SurbtcNotFoundError)
+      assert.deepEqual(errorFixture(error.toJSON()), _.omit(error.toJSON(), 'message'))
       done()
     })
   })
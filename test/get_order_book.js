@@ -1,5 +1,6 @@
 'use strict'
 
+var _ = require('lodash')
 var Client = require('../')
 var assert = require('chai').assert
 var errorFixture = require('./fixtures/get_order_book').error
@@ -30,7 +31,8 @@ describe('Surbtc REST Client Get Order Book', function () {
       client.getOrderBook(marketId, function (error, response) {
         assert(error)
         assert(!response)
-        assert.deepEqual(errorFixture(error), error)
+        assert.instanceOf(error, Client.errors.SurbtcNotFoundError)
+        assert.deepEqual(errorFixture(error.toJSON()), _.omit(error.toJSON(), 'message'))
         done()
       })
     })
@@ -1,5 +1,6 @@
 'use strict'
 
+var _ = require('lodash')
 var Client = require('../')
 var assert = require('chai').assert
 var accountSecret = require('./fixtures/account_info').secret
@@ -14,7 +15,7 @@ describe('Surbtc REST Client Get Order Id', function () {
   async.eachSeries(orders, function (orderId, cb) {
     it('should get order ID ' + orderId, function (done) {
       var client = new Client({
-        api: 'https://stg.surbtc.com/api/v1',
+        environment: 'staging',
         key: accountKey,
           secret: accountSecret
       })
@@ -32,14 +33,16 @@ describe('Surbtc REST Client Get Order Id', function () {
   async.eachSeries(orders, function (orderId, cb) {
     it('should fail to get order ID ' + orderId, function (done) {
       var client = new Client({
-        api: 'https://stg.surbtc.com/api/v1',
+        environment: 'staging',
         secret: 'jka'
       })
 
       client.getOrderId(orderId, function (error, response) {
         assert(error)
         assert(!response)
-        assert.deepEqual(errorFixture(error), error)
+        assert.instanceOf(error, Client.errors.SurbtcAuthError)
+        assert.equal(error.message, 'InvalidRequest:ApiKeyRequired')
+        assert.deepEqual(errorFixture(error.toJSON()), _.omit(error.toJSON(), 'message'))
         done()
       })
     })
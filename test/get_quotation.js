@@ -1,5 +1,6 @@
 'use strict'
 
+var _ = require('lodash')
 var Client = require('../')
 var assert = require('chai').assert
 var errorFixture = require('./fixtures/get_quotation').error
@@ -17,7 +18,7 @@ describe('Surbtc REST Client Get Quotation', function () {
     async.eachSeries(markets, function (marketId, callback) {
       it('should get quotation for limit order type ' + type + ' in market ' + marketId + ' for total ' + total, function (done) {
         var client = new Client({
-          api: 'https://stg.surbtc.com/api/v1',
+          environment: 'staging',
           key: accountKey,
           secret: accountSecret
         })
@@ -45,7 +46,9 @@ describe('Surbtc REST Client Get Quotation', function () {
         client.getQuotation(marketId, type, total, function (error, response) {
           assert(error)
           assert(!response)
-          assert.deepEqual(errorFixture(error), error)
+          assert.instanceOf(error, Client.errors.SurbtcAuthError)
+          assert.equal(error.message, 'InvalidRequest:ApiKeyRequired')
+          assert.deepEqual(errorFixture(error.toJSON()), _.omit(error.toJSON(), 'message'))
           done()
         })
         client = undefined
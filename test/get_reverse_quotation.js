@@ -1,5 +1,6 @@
 'use strict'
 
+var _ = require('lodash')
 var Client = require('../')
 var assert = require('chai').assert
 var errorFixture = require('./fixtures/get_reverse_quotation').error
@@ -17,7 +18,7 @@ describe('Surbtc REST Client Get reverse quotation', function () {
     async.eachSeries(markets, function (marketId, callback) {
       it('should get reverse quotation for limit order type ' + type + ' in market ' + marketId + ' for amount ' + amount, function (done) {
         var client = new Client({
-          api: 'https://stg.surbtc.com/api/v1',
+          environment: 'staging',
           key: accountKey,
           secret: accountSecret
         })
@@ -45,7 +46,9 @@ describe('Surbtc REST Client Get reverse quotation', function () {
         client.getReverseQuotation(marketId, type, amount, function (error, response) {
           assert(error)
           assert(!response)
-          assert.deepEqual(errorFixture(error), error)
+          assert.instanceOf(error, Client.errors.SurbtcAuthError)
+          assert.equal(error.message, 'InvalidRequest:ApiKeyRequired')
+          assert.deepEqual(errorFixture(error.toJSON()), _.omit(error.toJSON(), 'message'))
           done()
         })
         client = undefined
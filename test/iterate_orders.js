@@ -0,0 +1,98 @@
+'use strict'
+
+var url = require('url')
+var Client = require('../')
+var Paginator = require('../lib/paginator')
+var assert = require('chai').assert
+var localServer = require('./fixtures/local_server')
+
+describe('Surbtc REST Client Iterate Orders', function () {
+  var server
+  var api
+  var queries
+  var day = 24 * 60 * 60 * 1000
+
+  // 3 pages of 2 orders, newest first
+  function page (number, state) {
+    var orders = [1, 2].map(function (index) {
+      var id = (number - 1) * 2 + index
+
+      return {id: id, state: state || (id % 2 ? 'traded' : 'canceled'), created_at: new Date(Date.UTC(2026, 0, 10) - id * day).toISOString()}
+    })
+
+    return {orders: orders, meta: {current_page: number, total_pages: 3, total_count: 6}}
+  }
+
+  before(function (done) {
+    localServer.start(function (req, res) {
+      var query = url.parse(req.url, true).query
+
+      queries.push(query)
+      localServer.json(res, 200, page(Number(query.page), query.state))
+    }, function (started, url) {
+      server = started
+      api = url
+      done()
+    })
+  })
+
+  beforeEach(function () {
+    queries = []
+  })
+
+  after(function (done) {
+    server.close(done)
+  })
+
+  function client (options) {
+    return new Client(Object.assign({api: api, key: 'key', secret: 'secret', retry: false, markets: false}, options))
+  }
+
+  it('should fetch the pages lazily', async function () {
+    var iterator = client().iterateOrders('btc-clp')
+    var ids = []
+
+    assert.lengthOf(queries, 0)
+    for await (var order of iterator) {
+      ids.push(order.id)
+      assert.lengthOf(queries, Math.ceil(ids.length / 2))
+    }
+
+    assert.deepEqual(ids, [1, 2, 3, 4, 5, 6])
+    assert.deepEqual(queries.map(function (query) { return query.page }), ['1', '2', '3'])
+  })
+
+  it('should stop fetching when the loop is left', async function () {
+    for await (var order of client().iterateOrders('btc-clp')) {
+      if (order.id === 3) {
+        break
+      }
+    }
+
+    assert.lengthOf(queries, 2)
+  })
+
+  it('should send the state to the api and filter dates itself', function () {
+    var iterator = client().iterateOrders('btc-clp', {
+      state: 'traded',
+      since: new Date(Date.UTC(2026, 0, 5)),
+      until: '2026-01-08T00:00:00Z'
+    }, {per: 2})
+
+    return iterator.toArray().then(function (orders) {
+      assert.deepEqual(orders.map(function (order) { return order.id }), [3, 4, 5])
+      assert.deepEqual(queries[0], {page: '1', per: '2', state: 'traded'})
+    })
+  })
+
+  it('should paginate any endpoint', function () {
+    var pages = [{items: [1, 2], meta: {current_page: 1, total_pages: 2}}, {items: [3], meta: {current_page: 2, total_pages: 2}}]
+    var paginator = new Paginator(function (number) {
+      return Promise.resolve(pages[number - 1])
+    }, {items: 'items', filter: function (item) { return item !== 2 }})
+
+    return Promise.all([paginator.next(), paginator.next(), paginator.next()]).then(function (results) {
+      assert.deepEqual(results, [{value: 1, done: false}, {value: 3, done: false}, {value: undefined, done: true}])
+    })
+  })
+})
@@ -0,0 +1,140 @@
+'use strict'
+
+var Client = require('../')
+var Logger = require('../lib/logger')
+var assert = require('chai').assert
+var localServer = require('./fixtures/local_server')
+
+describe('Surbtc REST Client Debug Logging', function () {
+  var server
+  var api
+
+  before(function (done) {
+    localServer.start(function (req, res) {
+      if (req.url === '/api/v2/fiat_accounts/COP') {
+        return localServer.json(res, 200, {fiat_account: {id: 1, account_number: '123456', document_number: '157715003'}})
+      }
+      localServer.json(res, 200, {balance: {id: 'BTC'}})
+    }, function (started, url) {
+      server = started
+      api = url
+      done()
+    })
+  })
+
+  after(function (done) {
+    server.close(done)
+  })
+
+  function client (options) {
+    var entries = []
+    var surbtc = new Client(Object.assign({
+      api: api,
+      key: 'the-api-key',
+      secret: 'the-secret',
+      retry: false,
+      debug: true,
+      logger: function (message, fields) {
+        entries.push({message: message, fields: fields})
+      }
+    }, options))
+
+    surbtc.entries = entries
+    return surbtc
+  }
+
+  function find (entries, message) {
+    return entries.filter(function (entry) {
+      return entry.message === message
+    })
+  }
+
+  it('should log the signed string, the request and the response', function () {
+    var surbtc = client()
+
+    return surbtc.getBalances('btc').then(function () {
+      var signing = find(surbtc.entries, 'signing')[0].fields
+      var request = find(surbtc.entries, 'request')[0].fields
+      var response = find(surbtc.entries, 'response')[0].fields
+
+      assert.match(signing.message, /^GET \/api\/v2\/balances\/btc \d+$/)
+      assert.equal(request.method, 'GET')
+      assert.equal(request.url, api + '/balances/btc')
+      assert.equal(response.status, 200)
+      assert.deepEqual(response.body, {balance: {id: 'BTC'}})
+    })
+  })
+
+  it('should mask the api key and the signature', function () {
+    var surbtc = client()
+
+    return surbtc.getBalances('btc').then(function () {
+      var headers = find(surbtc.entries, 'request')[0].fields.headers
+
+      assert.equal(headers['X-SBTC-APIKEY'], Logger.MASK)
+      assert.equal(headers['X-SBTC-SIGNATURE'], Logger.MASK)
+      assert.notInclude(JSON.stringify(surbtc.entries), 'the-api-key')
+      assert.notInclude(JSON.stringify(surbtc.entries), 'the-secret')
+    })
+  })
+
+  it('should mask bank account and document numbers', function () {
+    var surbtc = client()
+
+    return surbtc.registerBankAccount({
+      bank_name: 'Banco Santander',
+      bank_account_holder_name: 'jaime echegaray',
+      bank_account_holder_id: '157715003',
+      bank_account_type: 'Cuenta Corriente',
+      bank_account_number: '123456',
+      bank_currency: 'cop'
+    }).then(function () {
+      var logged = JSON.stringify(surbtc.entries)
+      var signing = find(surbtc.entries, 'signing')[0].fields
+
+      assert.notInclude(logged, '123456')
+      assert.notInclude(logged, '157715003')
+      assert.match(signing.message, /^PUT \/api\/v2\/fiat_accounts\/COP \[REDACTED\] \d+$/)
+      assert.equal(signing.body.full_name, 'jaime echegaray')
+    })
+  })
+
+  it('should call the debug method of logger objects', function () {
+    var messages = []
+    var surbtc = client({
+      logger: {
+        debug: function (message) {
+          messages.push(message)
+        }
+      }
+    })
+
+    return surbtc.getBalances('btc').then(function () {
+      assert.deepEqual(messages, ['signing', 'request', 'response'])
+    })
+  })
+
+  it('should not log when debug logging is disabled', function () {
+    var surbtc = client({debug: false})
+
+    return surbtc.getBalances('btc').then(function () {
+      assert.lengthOf(surbtc.entries, 0)
+    })
+  })
+
+  it('should be enabled by the SURBTC_DEBUG environment variable', function () {
+    var previous = process.env.SURBTC_DEBUG
+
+    process.env.SURBTC_DEBUG = '1'
+    assert.isTrue(new Logger().enabled)
+    process.env.SURBTC_DEBUG = 'false'
+    assert.isFalse(new Logger().enabled)
+    assert.isTrue(new Logger({debug: true}).enabled)
+
+    if (previous === undefined) {
+      delete process.env.SURBTC_DEBUG
+    } else {
+      process.env.SURBTC_DEBUG = previous
+    }
+  })
+})
@@ -0,0 +1,158 @@
+'use strict'
+
+var Client = require('../')
+var AbortController = require('../lib/abort')
+var Money = require('../lib/money')
+var assert = require('chai').assert
+var localServer = require('./fixtures/local_server')
+
+describe('Surbtc REST Client Markets', function () {
+  var server
+  var api
+  var requests
+
+  before(function (done) {
+    localServer.start(function (req, res) {
+      requests.push(req.url)
+      if (req.url === '/api/v2/markets') {
+        return localServer.json(res, 200, {
+          markets: [
+            {id: 'BTC-CLP', name: 'btc-clp', base_currency: 'BTC', quote_currency: 'CLP', minimum_order_amount: ['0.001', 'BTC']},
+            {id: 'ETH-BTC', name: 'eth-btc', base_currency: 'ETH', quote_currency: 'BTC', tick_size: '0.00001'}
+          ]
+        })
+      }
+      localServer.json(res, 200, {order_book: {asks: [], bids: []}})
+    }, function (started, url) {
+      server = started
+      api = url
+      done()
+    })
+  })
+
+  beforeEach(function () {
+    requests = []
+  })
+
+  after(function (done) {
+    server.close(done)
+  })
+
+  function client (options) {
+    return new Client(Object.assign({api: api, key: 'key', secret: 'secret', retry: false}, options))
+  }
+
+  it('should describe every market', function () {
+    var surbtc = client()
+
+    return surbtc.getMarket('btc-clp').then(function (market) {
+      assert.equal(market.id, 'BTC-CLP')
+      assert.equal(market.baseCurrency, 'BTC')
+      assert.equal(market.quoteCurrency, 'CLP')
+      assert.isTrue(market.minimumOrderAmount.equals(Money.of('0.001', 'BTC')))
+      assert.isTrue(market.tickSize.equals(Money.of('0.01', 'CLP')))
+      return surbtc.getMarket('ETH-BTC')
+    }).then(function (market) {
+      assert.isTrue(market.tickSize.equals(Money.of('0.00001', 'BTC')))
+    })
+  })
+
+  it('should accept market ids in any case and without separator', function () {
+    var surbtc = client()
+
+    return Promise.all([
+      surbtc.getOrderBook('BTC-CLP'),
+      surbtc.getOrderBook('btc-clp'),
+      surbtc.getOrderBook('btcclp')
+    ]).then(function () {
+      assert.deepEqual(requests.sort(), [
+        '/api/v2/markets',
+        '/api/v2/markets/BTC-CLP/order_book',
+        '/api/v2/markets/BTC-CLP/order_book',
+        '/api/v2/markets/BTC-CLP/order_book'
+      ])
+    })
+  })
+
+  it('should reject unknown markets without calling the api', function () {
+    var surbtc = client()
+
+    return surbtc.getMarket('btc-clp').then(function () {
+      requests = []
+      return surbtc.createOrder('btc-xyz', {type: 'bid', amount: 1})
+    }).then(function () {
+      throw new Error('should have failed')
+    }, function (error) {
+      assert.equal(error.message, 'InvalidRequest:UnknownMarket')
+      assert.equal(error.error_type, 'invalid_request')
+      assert.lengthOf(requests, 0)
+    })
+  })
+
+  it('should report failed market lookups as errors of the call', function () {
+    var surbtc = client()
+    var reported = []
+
+    surbtc.on('error', function (error) {
+      reported.push(error)
+    })
+
+    return surbtc.getOrderBook('btc-xyz').then(function () {
+      throw new Error('should have failed')
+    }, function (error) {
+      assert.deepEqual(reported, [error])
+    })
+  })
+
+  it('should stop waiting for the market lookup once aborted', function () {
+    var surbtc = client()
+    var controller = new AbortController()
+    var reported = []
+
+    surbtc.on('error', function (error) {
+      reported.push(error)
+    })
+
+    var call = surbtc.getOrderBook('btc-clp', {signal: controller.signal})
+
+    controller.abort()
+
+    return call.then(function () {
+      throw new Error('should have failed')
+    }, function (error) {
+      assert.instanceOf(error, Client.errors.SurbtcAbortError)
+
+      // The call settles as soon as it is aborted, its error is reported next
+      return new Promise(function (resolve) {
+        setImmediate(resolve)
+      })
+    }).then(function () {
+      assert.lengthOf(reported, 1)
+      assert.instanceOf(reported[0], Client.errors.SurbtcAbortError)
+      assert.notInclude(requests, '/api/v2/markets/BTC-CLP/order_book')
+    })
+  })
+
+  it('should load the markets again once the ttl expires', function () {
+    var surbtc = client({markets: {ttl: 20}})
+
+    return surbtc.getMarket('btc-clp').then(function () {
+      return surbtc.getMarket('eth-btc')
+    }).then(function () {
+      assert.lengthOf(requests, 1)
+      return new Promise(function (resolve) {
+        setTimeout(resolve, 30)
+      })
+    }).then(function () {
+      return surbtc.getMarket('btc-clp')
+    }).then(function () {
+      assert.lengthOf(requests, 2)
+    })
+  })
+
+  it('should send market ids as given when the catalog is disabled', function () {
+    return client({markets: false}).getOrderBook('whatever').then(function () {
+      assert.deepEqual(requests, ['/api/v2/markets/whatever/order_book'])
+    })
+  })
+})
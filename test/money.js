@@ -0,0 +1,185 @@
+'use strict'
+
+var Client = require('../')
+var Money = require('../lib/money')
+var assert = require('chai').assert
+var localServer = require('./fixtures/local_server')
+
+describe('Surbtc REST Client Money', function () {
+  describe('arithmetic', function () {
+    it('should add and subtract exactly', function () {
+      assert.equal(Money.of(0.1, 'BTC').plus(0.2).amount, '0.3')
+      assert.equal(Money.of('1.00000001', 'BTC').minus('0.00000002').amount, '0.99999999')
+      assert.equal(Money.of('1', 'CLP').minus(Money.of('1.5', 'CLP')).toString(), '-0.5 CLP')
+    })
+
+    it('should multiply and divide exactly', function () {
+      assert.equal(Money.of('0.015', 'BTC').times('3500000').amount, '52500')
+      assert.equal(Money.of('10', 'CLP').dividedBy(3, 2).amount, '3.33')
+      assert.equal(Money.of('20', 'CLP').dividedBy(3, 2).amount, '6.67')
+      assert.equal(Money.of('20', 'CLP').dividedBy(3, 2, Money.Rounding.down).amount, '6.66')
+    })
+
+    it('should round with the given mode', function () {
+      var amount = Money.of('2.345', 'COP')
+
+      assert.equal(amount.round(2).amount, '2.35')
+      assert.equal(amount.round(2, Money.Rounding.halfEven).amount, '2.34')
+      assert.equal(amount.negated().round(2, Money.Rounding.floor).amount, '-2.35')
+      assert.equal(amount.negated().round(2, Money.Rounding.ceil).amount, '-2.34')
+      assert.equal(amount.round(0, Money.Rounding.up).amount, '3')
+    })
+
+    it('should convert to and from minor units exactly', function () {
+      assert.equal(Money.of(1.1, 'BTC').toMinorUnits(8), 110000000)
+      assert.equal(Money.of('0.29', 'CLP').toMinorUnits(2), 29)
+      assert.equal(Money.of('4.35', 'COP').toMinorUnits(2), 435)
+      assert.equal(Money.fromMinorUnits(123456789, 'BTC', 8).amount, '1.23456789')
+      assert.equal(Money.of('1e-7', 'BTC').toMinorUnits(8), 10)
+    })
+
+    it('should compare amounts', function () {
+      assert.equal(Money.of('1.50', 'BTC').compare('1.5'), 0)
+      assert.isTrue(Money.of('1.50', 'BTC').equals(Money.of(1.5, 'btc')))
+      assert.isFalse(Money.of('1.5', 'BTC').equals(Money.of('1.5', 'CLP')))
+      assert.equal(Money.of('2', 'BTC').compare(Money.of('10', 'BTC')), -1)
+    })
+
+    it('should be immutable', function () {
+      var amount = Money.of('1', 'BTC')
+
+      amount.plus('1')
+      assert.equal(amount.amount, '1')
+      assert.isTrue(Object.isFrozen(amount))
+    })
+
+    it('should reject invalid amounts and mixed currencies', function () {
+      assert.throws(function () { Money.of('abc', 'BTC') }, 'InvalidRequest:InvalidAmount')
+      assert.throws(function () { Money.of(NaN, 'BTC') }, 'InvalidRequest:InvalidAmount')
+      assert.throws(function () { Money.of('1', '') }, 'InvalidRequest:InvalidCurrency')
+      assert.throws(function () { Money.of('1', 'BTC').plus(Money.of('1', 'CLP')) }, 'InvalidRequest:CurrencyMismatch')
+    })
+
+    it('should do exact arithmetic on plain decimals', function () {
+      var price = Money.decimal('0.1').plus(0.2)
+
+      assert.isNull(price.currency)
+      assert.equal(price.toString(), '0.3')
+      assert.equal(JSON.stringify(price), '"0.3"')
+      assert.equal(Money.decimal(Money.of('1.5', 'CLP')).compare('1.50'), 0)
+      assert.throws(function () { price.plus(Money.of('1', 'CLP')) }, 'InvalidRequest:CurrencyMismatch')
+    })
+
+    it('should serialize as an [amount, currency] tuple', function () {
+      assert.equal(JSON.stringify({amount: Money.of('0.10', 'BTC')}), '{"amount":["0.1","BTC"]}')
+    })
+  })
+
+  describe('requests', function () {
+    var server
+    var api
+    var received
+
+    before(function (done) {
+      localServer.start(function (req, res, body) {
+        received = body
+        localServer.json(res, 200, {
+          balance: {
+            id: 'BTC',
+            amount: ['1.23456789', 'BTC'],
+            frozen_amount: ['0.0', 'BTC']
+          },
+          order_book: {asks: [['836677.14', '0.447349']]}
+        })
+      }, function (started, url) {
+        server = started
+        api = url
+        done()
+      })
+    })
+
+    after(function (done) {
+      server.close(done)
+    })
+
+    function client () {
+      return new Client({api: api, key: 'key', secret: 'secret', retry: false, markets: false})
+    }
+
+    it('should parse amount tuples of responses into Money', function () {
+      return client().getBalances('btc').then(function (response) {
+        assert.instanceOf(response.balance.amount, Money)
+        assert.equal(response.balance.amount.amount, '1.23456789')
+        assert.equal(response.balance.amount.currency, 'BTC')
+        assert.isTrue(response.balance.frozen_amount.isZero())
+        assert.deepEqual(response.order_book.asks, [['836677.14', '0.447349']])
+      })
+    })
+
+    it('should register deposits of Money in cents', function () {
+      return client().registerDeposit({amount: Money.of('1000.29', 'CLP')}).then(function () {
+        assert.deepEqual(received, {amount: 100029, currency: 'CLP'})
+        return client().registerDeposit({amount: 4.35, currency: 'cop'})
+      }).then(function () {
+        assert.deepEqual(received, {amount: 435, currency: 'COP'})
+      })
+    })
+
+    it('should request withdrawals of Money in satoshis', function () {
+      var opts = {
+        amount: Money.of('0.29', 'BTC'),
+        target_address: '1BvBMSEYstWetqTFn5Au4m4GFg7xJaNVN2'
+      }
+
+      return client().requestWithdrawal(opts).then(function () {
+        assert.equal(received.amount, 29000000)
+        assert.equal(received.currency, 'BTC')
+      })
+    })
+
+    it('should send Money order amounts as numbers', function () {
+      var order = {
+        type: 'bid',
+        price_type: 'limit',
+        limit: Money.of('0.1', 'CLP').plus('0.2'),
+        amount: Money.of('0.015', 'BTC')
+      }
+
+      return client().createOrder('btc-clp', order).then(function () {
+        assert.deepEqual(received, {type: 'bid', price_type: 'limit', limit: 0.3, amount: 0.015})
+      })
+    })
+
+    it('should fail on amounts in another currency', function () {
+      return client().registerDeposit({amount: Money.of('10', 'CLP'), currency: 'COP'}).then(function () {
+        throw new Error('should have failed')
+      }, function (error) {
+        assert.equal(error.message, 'InvalidRequest:CurrencyMismatch')
+      })
+    })
+
+    it('should reject transfers with more decimals than the currency', function () {
+      var opts = {
+        amount: '0.123456789',
+        currency: 'BTC',
+        target_address: '1BvBMSEYstWetqTFn5Au4m4GFg7xJaNVN2'
+      }
+
+      received = undefined
+
+      return client().requestWithdrawal(opts).then(function () {
+        throw new Error('should have failed')
+      }, function (error) {
+        assert.instanceOf(error, Client.errors.SurbtcValidationError)
+        assert.equal(error.message, 'InvalidRequest:InvalidAmount')
+        return client().registerDeposit({amount: '10.005', currency: 'CLP'})
+      }).then(function () {
+        throw new Error('should have failed')
+      }, function (error) {
+        assert.instanceOf(error, Client.errors.SurbtcValidationError)
+        assert.equal(error.message, 'InvalidRequest:InvalidAmount')
+        assert.isUndefined(received)
+      })
+    })
+  })
+})
@@ -0,0 +1,103 @@
+'use strict'
+
+var http = require('http')
+var Client = require('../')
+var errors = require('../lib/errors')
+var assert = require('chai').assert
+var localServer = require('./fixtures/local_server')
+
+describe('Surbtc REST Client Network Errors', function () {
+  var server
+  var api
+
+  before(function (done) {
+    localServer.start(function (req, res) {
+      if (req.url === '/api/v2/markets/drop/order_book') {
+        return req.socket.destroy()
+      }
+      if (req.url === '/api/v2/markets/garbled/order_book') {
+        res.writeHead(200, {'Content-Type': 'application/json'})
+        return res.end('{"order_book": ')
+      }
+      localServer.json(res, 200, {order_book: {}})
+    }, function (started, url) {
+      server = started
+      api = url
+      done()
+    })
+  })
+
+  after(function (done) {
+    server.close(done)
+  })
+
+  function expectNetworkError (client, marketId, reason) {
+    return client.getOrderBook(marketId).then(function () {
+      throw new Error('should have failed')
+    }, function (error) {
+      assert.instanceOf(error, errors.SurbtcNetworkError)
+      assert.equal(error.success, false)
+      assert.equal(error.error_type, 'network')
+      assert.equal(error.reason, reason)
+      assert.equal(error.endpoint, 'GET /markets/' + marketId + '/order_book')
+      assert.instanceOf(error.cause, Error)
+      return error
+    })
+  }
+
+  it('should fail when the server drops the connection', function () {
+    var client = new Client({api: api, retry: false, markets: false})
+
+    return expectNetworkError(client, 'drop', 'connection').then(function (error) {
+      assert.equal(error.code, 'ECONNRESET')
+    })
+  })
+
+  it('should retry dropped connections before failing', function () {
+    var client = new Client({api: api, retry: {baseDelay: 5, maxAttempts: 2}, markets: false})
+
+    return expectNetworkError(client, 'drop', 'connection')
+  })
+
+  it('should fail when the connection is refused', function (done) {
+    var closed = http.createServer()
+
+    closed.listen(0, '127.0.0.1', function () {
+      var port = closed.address().port
+
+      closed.close(function () {
+        var client = new Client({api: 'http://127.0.0.1:' + port + '/api/v2', retry: false, markets: false})
+
+        expectNetworkError(client, 'btc-clp', 'connection').then(function (error) {
+          assert.equal(error.code, 'ECONNREFUSED')
+          done()
+        }).catch(done)
+      })
+    })
+  })
+
+  it('should fail on TLS errors', function () {
+    var client = new Client({api: api.replace('http:', 'https:'), retry: false, markets: false})
+
+    return expectNetworkError(client, 'btc-clp', 'tls')
+  })
+
+  it('should fail on unparseable JSON bodies', function () {
+    var client = new Client({api: api, retry: false, markets: false})
+
+    return expectNetworkError(client, 'garbled', 'invalid_response').then(function (error) {
+      assert.equal(error.statusCode, 200)
+      assert.equal(error.body, '{"order_book": ')
+    })
+  })
+
+  it('should pass network errors to the callback', function (done) {
+    var client = new Client({api: api, retry: false, markets: false})
+
+    client.getOrderBook('drop', function (error, response) {
+      assert.instanceOf(error, errors.SurbtcNetworkError)
+      assert(!response)
+      done()
+    })
+  })
+})
@@ -0,0 +1,117 @@
+'use strict'
+
+var Client = require('../')
+var NonceGenerator = require('../lib/nonce')
+var assert = require('chai').assert
+var localServer = require('./fixtures/local_server')
+
+describe('Surbtc REST Client Nonce', function () {
+  it('should always increase within the same millisecond', function () {
+    var generator = new NonceGenerator()
+    var nonces = []
+
+    for (var i = 0; i < 100; i++) {
+      nonces.push(generator.next())
+    }
+
+    for (var j = 1; j < nonces.length; j++) {
+      assert.isAbove(nonces[j], nonces[j - 1])
+    }
+  })
+
+  it('should apply the clock offset', function () {
+    var generator = new NonceGenerator({clockOffset: 60000})
+
+    assert.isAbove(generator.next(), Date.now() + 59000)
+  })
+
+  it('should stay ahead of the last accepted nonce', function () {
+    var generator = new NonceGenerator({lastNonce: Date.now() + 1000000})
+    var nonce = generator.next()
+
+    generator.accepted(nonce + 50)
+    assert.equal(generator.next(), nonce + 51)
+  })
+
+  it('should sign requests with a pluggable generator', function (done) {
+    var counter = 41
+    var accepted = []
+    var received = []
+
+    localServer.start(function (req, res) {
+      received.push(req.headers['x-sbtc-nonce'])
+      localServer.json(res, 200, {balance: {}})
+    }, function (server, api) {
+      var client = new Client({
+        api: api,
+        key: 'key',
+        secret: 'secret',
+        nonce: {
+          next: function () {
+            return Promise.resolve(++counter)
+          },
+          accepted: function (nonce) {
+            accepted.push(nonce)
+          }
+        }
+      })
+
+      Promise.all([client.getBalances('btc'), client.getBalances('clp')]).then(function () {
+        assert.sameMembers(received, ['42', '43'])
+        assert.sameMembers(accepted, [42, 43])
+        server.close(done)
+      }).catch(done)
+    })
+  })
+
+  it('should sign again requests that reached the server after a later nonce', function (done) {
+    var lastNonce = 0
+    var retries = 0
+
+    localServer.start(function (req, res) {
+      var nonce = Number(req.headers['x-sbtc-nonce'])
+
+      // The btc balance request, signed first, arrives last
+      setTimeout(function () {
+        if (nonce <= lastNonce) {
+          return localServer.json(res, 401, {message: 'Invalid nonce'})
+        }
+        lastNonce = nonce
+        localServer.json(res, 200, {balance: {}})
+      }, req.url.indexOf('/btc') === -1 ? 0 : 30)
+    }, function (server, api) {
+      var client = new Client({api: api, key: 'key', secret: 'secret', retry: false, markets: false})
+
+      client.on('retry', function (event) {
+        assert.equal(event.status, 401)
+        retries++
+      })
+
+      Promise.all([client.getBalances('btc'), client.getBalances('clp')]).then(function () {
+        assert.equal(retries, 1)
+        server.close(done)
+      }).catch(done)
+    })
+  })
+
+  it('should not sign again requests rejected with the latest nonce', function (done) {
+    localServer.start(function (req, res) {
+      localServer.json(res, 401, {message: 'Invalid nonce'})
+    }, function (server, api) {
+      var client = new Client({api: api, key: 'key', secret: 'secret', retry: false, markets: false})
+      var requests = 0
+
+      client.on('request', function () {
+        requests++
+      })
+
+      client.getBalances('btc').then(function () {
+        done(new Error('should have failed'))
+      }, function (error) {
+        assert.equal(error.statusCode, 401)
+        assert.equal(requests, 1)
+        server.close(done)
+      }).catch(done)
+    })
+  })
+})
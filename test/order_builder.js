@@ -0,0 +1,150 @@
+'use strict'
+
+var Client = require('../')
+var Money = require('../lib/money')
+var assert = require('chai').assert
+var localServer = require('./fixtures/local_server')
+
+describe('Surbtc REST Client Order Builder', function () {
+  var server
+  var api
+  var orders
+
+  before(function (done) {
+    localServer.start(function (req, res, body) {
+      if (req.url === '/api/v2/markets') {
+        return localServer.json(res, 200, {
+          markets: [
+            {id: 'BTC-CLP', name: 'btc-clp', base_currency: 'BTC', quote_currency: 'CLP', minimum_order_amount: ['0.001', 'BTC'], tick_size: '10'}
+          ]
+        })
+      }
+      orders.push(body)
+      localServer.json(res, 201, {order: {id: 1, state: 'received'}})
+    }, function (started, url) {
+      server = started
+      api = url
+      done()
+    })
+  })
+
+  beforeEach(function () {
+    orders = []
+  })
+
+  after(function (done) {
+    server.close(done)
+  })
+
+  function client (options) {
+    return new Client(Object.assign({api: api, key: 'key', secret: 'secret', retry: false}, options))
+  }
+
+  function expectProblems (builder) {
+    return builder.build().then(function () {
+      throw new Error('should have failed')
+    }, function (error) {
+      assert.equal(error.name, 'SurbtcValidationError')
+      assert.equal(error.message, 'InvalidRequest:InvalidOrder')
+      return error.errors
+    })
+  }
+
+  it('should build the createOrder payload', function () {
+    return client().order('btc-clp').bid().limit(9000000).amount('0.01').build().then(function (order) {
+      assert.deepEqual(order, {type: 'bid', price_type: 'limit', limit: 9000000, amount: 0.01})
+    })
+  })
+
+  it('should build market orders', function () {
+    return client().order('BTCCLP').ask().market().amount(Money.of('0.5', 'BTC')).build().then(function (order) {
+      assert.deepEqual(order, {type: 'ask', price_type: 'market', amount: 0.5})
+    })
+  })
+
+  it('should round prices to the tick size in the safe direction', function () {
+    var surbtc = client()
+
+    return surbtc.order('btc-clp').bid().limit('9000009.99').amount('0.01').build().then(function (order) {
+      assert.equal(order.limit, 9000000)
+      return surbtc.order('btc-clp').ask().limit('9000000.01').amount('0.01').build()
+    }).then(function (order) {
+      assert.equal(order.limit, 9000010)
+    })
+  })
+
+  it('should round amounts down to the base currency decimals', function () {
+    return client().order('btc-clp').bid().limit(9000000).amount('0.123456789').build().then(function (order) {
+      assert.equal(order.amount, 0.12345678)
+    })
+  })
+
+  it('should build stop and stop-limit orders', function () {
+    var surbtc = client()
+
+    return surbtc.order('btc-clp').ask().stop('8500001').amount('0.01').build().then(function (order) {
+      assert.deepEqual(order, {type: 'ask', price_type: 'market', stop: 8500010, amount: 0.01})
+      return surbtc.order('btc-clp').bid().stop(9500000).limit(9600000).amount('0.01').build()
+    }).then(function (order) {
+      assert.deepEqual(order, {type: 'bid', price_type: 'limit', limit: 9600000, stop: 9500000, amount: 0.01})
+      return expectProblems(surbtc.order('btc-clp').bid().stop(0).amount('0.01'))
+    }).then(function (problems) {
+      assert.deepEqual(problems, {stop: ['must be greater than 0']})
+    })
+  })
+
+  it('should list every problem at once', function () {
+    var builder = client().order('btc-clp').type('buy').priceType('limt').amount('abc')
+
+    return expectProblems(builder).then(function (problems) {
+      assert.deepEqual(problems, {
+        type: ['must be one of bid, ask'],
+        price_type: ['must be one of limit, market'],
+        amount: ['must be a number']
+      })
+    })
+  })
+
+  it('should require a limit price for limit orders', function () {
+    var builder = client().order('btc-clp').bid().priceType('limit').amount('0.01')
+
+    return expectProblems(builder).then(function (problems) {
+      assert.deepEqual(problems, {limit: ['is required']})
+    })
+  })
+
+  it('should check amounts against the market', function () {
+    var surbtc = client()
+
+    return expectProblems(surbtc.order('btc-clp').bid().limit(1000).amount('0.0001')).then(function (problems) {
+      assert.deepEqual(problems, {amount: ['must be at least 0.001 BTC']})
+      return expectProblems(surbtc.order('btc-clp').bid().limit(Money.of(1, 'COP')).amount(Money.of(1, 'ETH')))
+    }).then(function (problems) {
+      assert.deepEqual(problems, {limit: ['must be in CLP'], amount: ['must be in BTC']})
+    })
+  })
+
+  it('should fail on unknown markets', function () {
+    return client().order('btc-xyz').bid().limit(1).amount(1).build().then(function () {
+      throw new Error('should have failed')
+    }, function (error) {
+      assert.equal(error.message, 'InvalidRequest:UnknownMarket')
+    })
+  })
+
+  it('should submit valid orders only', function (done) {
+    var surbtc = client()
+
+    surbtc.order('btc-clp').bid().limit(-1).amount('0.01').submit(function (error) {
+      assert.deepEqual(error.errors, {limit: ['must be greater than 0']})
+      assert.lengthOf(orders, 0)
+
+      surbtc.order('btc-clp').bid().limit(9000000).amount('0.01').submit(function (error, response) {
+        assert(!error)
+        assert.equal(response.order.id, 1)
+        assert.deepEqual(orders, [{type: 'bid', price_type: 'limit', limit: 9000000, amount: 0.01}])
+        done()
+      })
+    })
+  })
+})
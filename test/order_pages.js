@@ -0,0 +1,82 @@
+'use strict'
+
+var url = require('url')
+var Client = require('../')
+var assert = require('chai').assert
+var localServer = require('./fixtures/local_server')
+
+describe('Surbtc REST Client Order Pages', function () {
+  var server
+  var api
+  var pending
+  var maxPending
+
+  // 5 pages of 2 orders, newest first. Order 5 was pushed to page 4 after
+  // page 3 was served, so both have it, and page 5 has an extra order
+  var pages = {
+    1: [10, 9],
+    2: [8, 7],
+    3: [6, 5],
+    4: [5, 4],
+    5: [3, 2, 1]
+  }
+
+  before(function (done) {
+    localServer.start(function (req, res) {
+      var page = Number(url.parse(req.url, true).query.page || 1)
+      var orders = pages[page].map(function (id) {
+        return {id: id, state: id % 3 ? 'traded' : 'canceled'}
+      })
+
+      pending++
+      maxPending = Math.max(maxPending, pending)
+
+      // Later pages answer first
+      setTimeout(function () {
+        pending--
+        localServer.json(res, 200, {orders: orders, meta: {current_page: page, total_pages: 5, total_count: 10}})
+      }, 50 - page * 10)
+    }, function (started, url) {
+      server = started
+      api = url
+      done()
+    })
+  })
+
+  beforeEach(function () {
+    pending = 0
+    maxPending = 0
+  })
+
+  after(function (done) {
+    server.close(done)
+  })
+
+  function client (options) {
+    return new Client(Object.assign({api: api, key: 'key', secret: 'secret', retry: false, markets: false}, options))
+  }
+
+  it('should merge the pages in order and without duplicates', function () {
+    return client().getOrders('btc-clp').then(function (response) {
+      assert.deepEqual(response.orders.map(function (order) { return order.id }), [10, 9, 8, 7, 6, 5, 4, 3, 2, 1])
+      assert.deepEqual(response.meta, {current_page: 5, total_pages: 5, total_count: 10})
+      assert.equal(maxPending, 4)
+    })
+  })
+
+  it('should fetch a limited number of pages at a time', function (done) {
+    client().getOrders('btc-clp', {concurrency: 2}, function (error, response) {
+      assert(!error)
+      assert.lengthOf(response.orders, 10)
+      assert.equal(maxPending, 2)
+      done()
+    })
+  })
+
+  it('should keep the meta of orders filtered by state', function () {
+    return client().getOrdersByState('btc-clp', 'canceled').then(function (response) {
+      assert.deepEqual(response.orders.map(function (order) { return order.id }), [9, 6, 3])
+      assert.deepEqual(response.meta, {current_page: 5, total_pages: 5, total_count: 3})
+    })
+  })
+})
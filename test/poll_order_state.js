@@ -0,0 +1,118 @@
+'use strict'
+
+var Client = require('../')
+var assert = require('chai').assert
+var localServer = require('./fixtures/local_server')
+
+describe('Surbtc REST Client Poll Order State', function () {
+  var server
+  var api
+  var states
+  var polledAt
+
+  function order (state, traded) {
+    return {id: 1, state: state, traded_amount: [String(traded || 0), 'BTC']}
+  }
+
+  before(function (done) {
+    localServer.start(function (req, res) {
+      var next = states.length > 1 ? states.shift() : states[0]
+
+      polledAt.push(Date.now())
+      localServer.json(res, 200, {order: order(next[0], next[1])})
+    }, function (started, url) {
+      server = started
+      api = url
+      done()
+    })
+  })
+
+  beforeEach(function () {
+    polledAt = []
+  })
+
+  after(function (done) {
+    server.close(done)
+  })
+
+  function client (options) {
+    return new Client(Object.assign({api: api, key: 'key', secret: 'secret', retry: false, markets: false}, options))
+  }
+
+  function received () {
+    return {success: true, order: Client.Money.parse(order('received'))}
+  }
+
+  it('should report partial fills until the order is traded', function () {
+    var progress = []
+
+    states = [['pending', 0], ['pending', '0.4'], ['pending', '0.4'], ['traded', 1]]
+
+    return client().pollOrderState(received(), 'traded', {
+      interval: 5,
+      onProgress: function (order, previous) {
+        progress.push([previous.traded_amount.toString(), order.traded_amount.toString()])
+      }
+    }).then(function (response) {
+      assert.equal(response.order.state, 'traded')
+      assert.lengthOf(polledAt, 4)
+      assert.deepEqual(progress, [['0 BTC', '0.4 BTC'], ['0.4 BTC', '1 BTC']])
+    })
+  })
+
+  it('should stop when the order reaches a terminal state', function () {
+    states = [['pending'], ['canceled']]
+
+    return client().pollOrderState(received(), 'traded', {interval: 5}).then(function () {
+      throw new Error('should have failed')
+    }, function (error) {
+      assert.equal(error.name, 'SurbtcOrderStateError')
+      assert.equal(error.outcome, 'terminal_state')
+      assert.equal(error.order.state, 'canceled')
+      assert.equal(error.attempts, 2)
+    })
+  })
+
+  it('should stop after the maximum attempts', function (done) {
+    states = [['pending']]
+
+    client().pollOrderState(received(), 'traded', {interval: 5, maxAttempts: 3}, function (error) {
+      assert.equal(error.outcome, 'max_attempts')
+      assert.equal(error.order.state, 'pending')
+      assert.lengthOf(polledAt, 3)
+      done()
+    })
+  })
+
+  it('should stop after the maximum duration', function () {
+    var startedAt = Date.now()
+
+    states = [['pending']]
+
+    return client().pollOrderState(received(), 'traded', {interval: 20, maxDuration: 70}).then(function () {
+      throw new Error('should have failed')
+    }, function (error) {
+      assert.equal(error.outcome, 'max_duration')
+      assert.closeTo(Date.now() - startedAt, 70, 40)
+    })
+  })
+
+  it('should back off between polls', function () {
+    states = [['pending'], ['pending'], ['pending'], ['traded']]
+
+    var startedAt = Date.now()
+
+    return client().pollOrderState(received(), 'traded', {interval: 20, backoff: 2, maxInterval: 60}).then(function () {
+      var gaps = polledAt.map(function (at, index) {
+        return at - (index ? polledAt[index - 1] : startedAt)
+      })
+
+      // 20, 40, 60 (capped) and 60 ms, plus the request time. Timers only
+      // ever fire late, so only the capped gap has an upper bound
+      assert.isAbove(gaps[1], 37)
+      assert.isAbove(gaps[2], 57)
+      assert.isAbove(gaps[3], 57)
+      assert.isBelow(gaps[3], 120)
+    })
+  })
+})
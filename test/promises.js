@@ -0,0 +1,88 @@
+'use strict'
+
+var Client = require('../')
+var assert = require('chai').assert
+var localServer = require('./fixtures/local_server')
+
+var order = {id: 1, state: 'pending', traded_amount: [0, 'BTC']}
+
+function handler (req, res, body) {
+  if (req.url === '/api/v2/markets') {
+    return localServer.json(res, 200, {markets: [{name: 'btc-clp'}]})
+  }
+  if (req.url === '/api/v2/markets/btc-clp/orders' && req.method === 'POST') {
+    return localServer.json(res, 200, {order: order})
+  }
+  if (req.url === '/api/v2/orders/1') {
+    order.state = 'traded'
+    return localServer.json(res, 200, {order: order})
+  }
+  if (req.url.indexOf('/api/v2/markets/btc-clp/orders') === 0) {
+    var page = Number(req.url.split('page=')[1] || 1) || 1
+    return localServer.json(res, 200, {
+      orders: [{id: page, state: page === 2 ? 'traded' : 'pending'}],
+      meta: {current_page: page, total_pages: 2}
+    })
+  }
+  localServer.json(res, 404, {message: 'not found'})
+}
+
+describe('Surbtc REST Client Promises', function () {
+  var server
+  var client
+
+  before(function (done) {
+    localServer.start(handler, function (started, api) {
+      server = started
+      client = new Client({api: api, key: 'key', secret: 'secret', markets: false})
+      done()
+    })
+  })
+
+  after(function (done) {
+    server.close(done)
+  })
+
+  it('should return a promise when no callback is given', function () {
+    return client.getMarkets().then(function (response) {
+      assert.equal(response.success, true)
+      assert.equal(response.markets[0].name, 'btc-clp')
+    })
+  })
+
+  it('should keep the callback contract', function (done) {
+    var returned = client.getMarkets(function (error, response) {
+      assert(!error)
+      assert.equal(response.markets[0].name, 'btc-clp')
+      done()
+    })
+    assert.isUndefined(returned)
+  })
+
+  it('should reject with the same error the callback receives', function (done) {
+    var unauthenticated = new Client({api: client.api, markets: false})
+
+    unauthenticated.getBalances('btc').then(function () {
+      done(new Error('should have failed'))
+    }, function (promiseError) {
+      unauthenticated.getBalances('btc', function (callbackError, response) {
+        assert(!response)
+        assert.deepEqual(callbackError, promiseError)
+        assert.equal(promiseError.error_type, 'invalid_request')
+        done()
+      })
+    })
+  })
+
+  it('should merge every page with getOrdersByState', function () {
+    return client.getOrdersByState('btc-clp', 'traded').then(function (response) {
+      assert.deepEqual(response.orders, [{id: 2, state: 'traded'}])
+    })
+  })
+
+  it('should create and trade an order with a promise', function () {
+    return client.createAndTradeOrder('btc-clp', {type: 'bid'}).then(function (response) {
+      assert.equal(response.order.state, 'traded')
+    })
+  })
+})
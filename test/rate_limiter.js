@@ -0,0 +1,110 @@
+'use strict'
+
+var Client = require('../')
+var AbortController = require('../lib/abort')
+var RateLimiter = require('../lib/rate_limiter')
+var assert = require('chai').assert
+var localServer = require('./fixtures/local_server')
+
+describe('Surbtc REST Client Rate Limiter', function () {
+  it('should let a burst through and queue the rest', function () {
+    var limiter = new RateLimiter({tokensPerInterval: 2, interval: 100})
+    var start = Date.now()
+    var times = []
+
+    function track () {
+      return limiter.schedule().then(function () {
+        times.push(Date.now() - start)
+      })
+    }
+
+    return Promise.all([track(), track(), track()]).then(function () {
+      assert.isBelow(times[1], 40)
+      assert.isAbove(times[2], 39)
+    })
+  })
+
+  it('should serve high priority requests first', function () {
+    var limiter = new RateLimiter({tokensPerInterval: 1, interval: 20})
+    var served = []
+
+    function track (name, priority) {
+      return limiter.schedule(priority).then(function () {
+        served.push(name)
+      })
+    }
+
+    return Promise.all([
+      track('first'),
+      track('read 1'),
+      track('read 2'),
+      track('cancel', RateLimiter.Priority.high)
+    ]).then(function () {
+      assert.deepEqual(served, ['first', 'cancel', 'read 1', 'read 2'])
+    })
+  })
+
+  it('should drop queued requests once aborted', function () {
+    var limiter = new RateLimiter({tokensPerInterval: 1, interval: 60000})
+    var controller = new AbortController()
+
+    return limiter.schedule().then(function () {
+      var queued = limiter.schedule(0, controller.signal)
+
+      assert.equal(limiter.pending(), 1)
+      controller.abort(new Error('stop'))
+
+      return queued
+    }).then(function () {
+      throw new Error('should have failed')
+    }, function (error) {
+      assert.equal(error.message, 'stop')
+      assert.equal(limiter.pending(), 0)
+      assert.isNull(limiter.timer)
+    })
+  })
+
+  it('should drop calls timed out while queued', function (done) {
+    var limiter = new Client.RateLimiter({tokensPerInterval: 1, interval: 60000})
+
+    localServer.start(function (req, res) {
+      localServer.json(res, 200, {markets: []})
+    }, function (server, api) {
+      var client = new Client({api: api, rateLimiter: limiter})
+
+      client.getMarkets().then(function () {
+        return client.getMarkets({timeout: {operation: 20}})
+      }).then(function () {
+        done(new Error('should have failed'))
+      }, function (error) {
+        assert.instanceOf(error, Client.errors.SurbtcNetworkError)
+        assert.equal(limiter.pending(), 0)
+        server.close(done)
+      }).catch(done)
+    })
+  })
+
+  it('should be shared between clients', function (done) {
+    var limiter = new Client.RateLimiter({tokensPerInterval: 1, interval: 60000})
+    var requests = 0
+
+    localServer.start(function (req, res) {
+      requests++
+      localServer.json(res, 200, {markets: []})
+    }, function (server, api) {
+      var first = new Client({api: api, rateLimiter: limiter})
+      var second = new Client({api: api, rateLimiter: limiter})
+
+      first.getMarkets().then(function () {
+        second.getMarkets()
+
+        setTimeout(function () {
+          assert.equal(requests, 1)
+          assert.equal(limiter.pending(), 1)
+          clearTimeout(limiter.timer)
+          server.close(done)
+        }, 50)
+      })
+    })
+  })
+})
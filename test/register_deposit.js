@@ -1,5 +1,6 @@
 'use strict'
 
+var _ = require('lodash')
 var Client = require('../')
 var assert = require('chai').assert
 var accountSecret = require('./fixtures/account_info').secret
@@ -14,7 +15,7 @@ describe('Surbtc REST Client Register Deposit', function () {
   async.eachSeries(deposits, function (deposit, cb) {
     it('should register deposit ' + JSON.stringify(deposit), function (done) {
       var client = new Client({
-        api: 'https://stg.surbtc.com/api/v1',
+        environment: 'staging',
         key: accountKey,
         secret: accountSecret
       })
@@ -33,14 +34,16 @@ describe('Surbtc REST Client Register Deposit', function () {
   async.eachSeries(deposits, function (deposit, cb) {
     it('should fail to register deposit ' + JSON.stringify(deposit), function (done) {
       var client = new Client({
-        api: 'https://stg.surbtc.com/api/v1',
+        environment: 'staging',
         secret: 'jhgkjhgk'
       })
 
       client.registerDeposit(deposit, function (error, response) {
         assert(error)
         assert(!response)
-        assert.deepEqual(errorFixture(error), error)
+        assert.instanceOf(error, Client.errors.SurbtcAuthError)
+        assert.equal(error.message, 'InvalidRequest:ApiKeyRequired')
+        assert.deepEqual(errorFixture(error.toJSON()), _.omit(error.toJSON(), 'message'))
         done()
       })
       client = undefined
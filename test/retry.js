@@ -0,0 +1,107 @@
+'use strict'
+
+var Client = require('../')
+var RetryPolicy = require('../lib/retry')
+var assert = require('chai').assert
+var localServer = require('./fixtures/local_server')
+
+describe('Surbtc REST Client Retry', function () {
+  var server
+  var api
+  var requests
+  var failures
+
+  before(function (done) {
+    localServer.start(function (req, res) {
+      requests.push(req.headers)
+      if (failures > 0) {
+        failures--
+        return localServer.json(res, 503, {message: 'unavailable'})
+      }
+      localServer.json(res, 200, {order: {id: 1}})
+    }, function (started, url) {
+      server = started
+      api = url
+      done()
+    })
+  })
+
+  beforeEach(function () {
+    requests = []
+    failures = 0
+  })
+
+  after(function (done) {
+    server.close(done)
+  })
+
+  function client (retry) {
+    return new Client({api: api, key: 'key', secret: 'secret', retry: retry, markets: false})
+  }
+
+  it('should retry GET requests on transient failures', function () {
+    failures = 2
+
+    return client({baseDelay: 5}).getOrderId(1).then(function (response) {
+      assert.equal(response.order.id, 1)
+      assert.lengthOf(requests, 3)
+    })
+  })
+
+  it('should sign every attempt with a fresh nonce', function () {
+    failures = 1
+
+    return client({baseDelay: 5}).getOrderId(1).then(function () {
+      assert.notEqual(requests[0]['x-sbtc-nonce'], requests[1]['x-sbtc-nonce'])
+      assert.notEqual(requests[0]['x-sbtc-signature'], requests[1]['x-sbtc-signature'])
+    })
+  })
+
+  it('should give up after the maximum number of attempts', function (done) {
+    failures = 5
+
+    client({baseDelay: 5, maxAttempts: 2}).getOrderId(1, function (error, response) {
+      assert(!response)
+      assert.equal(error.statusCode, 503)
+      assert.lengthOf(requests, 2)
+      done()
+    })
+  })
+
+  it('should not retry mutating requests without an idempotency key', function (done) {
+    failures = 1
+
+    client({baseDelay: 5}).createOrder('btc-clp', {type: 'bid'}, function (error) {
+      assert.equal(error.statusCode, 503)
+      assert.lengthOf(requests, 1)
+      done()
+    })
+  })
+
+  it('should retry mutating requests with an idempotency key', function () {
+    failures = 1
+
+    return client({baseDelay: 5}).createOrder('btc-clp', {type: 'bid', idempotency_key: 'abc'}).then(function () {
+      assert.lengthOf(requests, 2)
+      assert.equal(requests[1]['idempotency-key'], 'abc')
+    })
+  })
+
+  it('should not retry when disabled', function (done) {
+    failures = 1
+
+    client(false).getOrderId(1, function (error) {
+      assert.equal(error.statusCode, 503)
+      assert.lengthOf(requests, 1)
+      done()
+    })
+  })
+
+  it('should back off exponentially', function () {
+    var policy = new RetryPolicy({baseDelay: 100, jitter: 0, maxDelay: 350})
+
+    assert.equal(policy.delay(null, 1), 100)
+    assert.equal(policy.delay(null, 2), 200)
+    assert.equal(policy.delay(null, 3), 350)
+  })
+})
@@ -0,0 +1,98 @@
+'use strict'
+
+var crypto = require('crypto')
+var Client = require('../')
+var assert = require('chai').assert
+var localServer = require('./fixtures/local_server')
+
+function sign (message) {
+  return crypto.createHmac('sha384', 'secret').update(message).digest('hex')
+}
+
+describe('Surbtc REST Client Signing', function () {
+  var server
+  var client
+  var received
+
+  before(function (done) {
+    localServer.start(function (req, res, body) {
+      received = {method: req.method, url: req.url, headers: req.headers, body: body}
+      localServer.json(res, 200, {})
+    }, function (started, api) {
+      server = started
+      client = new Client({api: api, key: 'key', secret: 'secret'})
+      done()
+    })
+  })
+
+  after(function (done) {
+    server.close(done)
+  })
+
+  it('should sign DELETE requests', function () {
+    var endpoint = {method: 'DELETE', path: '/orders/:orderId', auth: true, args: ['orderId']}
+
+    return client._request(endpoint, {orderId: 7}).then(function () {
+      assert.equal(received.method, 'DELETE')
+      assert.equal(received.headers['x-sbtc-signature'],
+        sign('DELETE /api/v2/orders/7 ' + received.headers['x-sbtc-nonce']))
+    })
+  })
+
+  it('should sign PATCH requests with their body', function () {
+    var endpoint = {
+      method: 'PATCH',
+      path: '/orders/:orderId',
+      auth: true,
+      args: ['orderId'],
+      body: function () {
+        return {state: 'canceling'}
+      }
+    }
+
+    return client._request(endpoint, {orderId: 7}).then(function () {
+      var encoded = Buffer.from(JSON.stringify({state: 'canceling'})).toString('base64')
+
+      assert.deepEqual(received.body, {state: 'canceling'})
+      assert.equal(received.headers['x-sbtc-signature'],
+        sign('PATCH /api/v2/orders/7 ' + encoded + ' ' + received.headers['x-sbtc-nonce']))
+    })
+  })
+
+  it('should sign body-less POST requests', function () {
+    var endpoint = {method: 'POST', path: '/orders/:orderId/confirm', auth: true, args: ['orderId']}
+
+    return client._request(endpoint, {orderId: 7}).then(function () {
+      assert.isUndefined(received.body)
+      assert.equal(received.headers['x-sbtc-signature'],
+        sign('POST /api/v2/orders/7/confirm ' + received.headers['x-sbtc-nonce']))
+    })
+  })
+
+  it('should build the same query string for the signature and the request', function () {
+    var endpoint = {
+      method: 'GET',
+      path: '/markets/:marketId/orders',
+      auth: true,
+      args: ['marketId'],
+      query: function () {
+        return {state: 'traded', page: 2, since: '2016-10-05 19:02', per: null}
+      }
+    }
+
+    return client._request(endpoint, {marketId: 'btc-clp'}).then(function () {
+      assert.equal(received.url, '/api/v2/markets/btc-clp/orders?page=2&since=2016-10-05%2019%3A02&state=traded')
+      assert.equal(received.headers['x-sbtc-signature'],
+        sign('GET ' + received.url + ' ' + received.headers['x-sbtc-nonce']))
+    })
+  })
+
+  it('should fail on methods it cannot sign', function (done) {
+    var endpoint = {method: 'OPTIONS', path: '/markets', auth: true, args: []}
+
+    client._request(endpoint, {}).catch(function (error) {
+      assert.equal(error.message, 'InvalidRequest:UnsupportedMethod')
+      done()
+    })
+  })
+})
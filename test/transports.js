@@ -0,0 +1,168 @@
+'use strict'
+
+var crypto = require('crypto')
+var http = require('http')
+var Client = require('../')
+var AbortController = require('../lib/abort')
+var errors = require('../lib/errors')
+var transports = require('../lib/transports')
+var assert = require('chai').assert
+var localServer = require('./fixtures/local_server')
+
+describe('Surbtc REST Client Transports', function () {
+  var server
+  var api
+  var received
+
+  before(function (done) {
+    localServer.start(function (req, res, body) {
+      received = {method: req.method, url: req.url, headers: req.headers, body: body}
+
+      if (req.url === '/api/v2/orders/404') {
+        return localServer.json(res, 404, {message: 'not_found'})
+      }
+      if (req.url === '/api/v2/orders/drop') {
+        return req.socket.destroy()
+      }
+      if (req.url === '/api/v2/orders/slow') {
+        return setTimeout(function () {
+          localServer.json(res, 200, {order: {id: 'slow'}})
+        }, 200)
+      }
+      localServer.json(res, 200, {order: {id: 1, state: 'canceling'}})
+    }, function (started, url) {
+      server = started
+      api = url
+      done()
+    })
+  })
+
+  after(function (done) {
+    // keep-alive agents hold their sockets open
+    server.close(done)
+    if (server.closeAllConnections) {
+      server.closeAllConnections()
+    }
+  })
+
+  var adapters = {
+    superagent: function () {
+      return new transports.SuperagentTransport()
+    },
+    http: function () {
+      return new transports.HttpTransport({agent: new http.Agent({keepAlive: true})})
+    },
+    fetch: function () {
+      return new transports.FetchTransport()
+    }
+  }
+
+  Object.keys(adapters).forEach(function (name) {
+    // fetch is only global since Node 18
+    if (name === 'fetch' && !global.fetch) {
+      return
+    }
+
+    describe('with the ' + name + ' transport', function () {
+      function client (options) {
+        return new Client(Object.assign({
+          api: api,
+          key: 'key',
+          secret: 'secret',
+          retry: false,
+          transport: adapters[name]()
+        }, options))
+      }
+
+      it('should send signed requests', function () {
+        return client().getOrderId(1).then(function (response) {
+          var message = 'GET /api/v2/orders/1 ' + received.headers['x-sbtc-nonce']
+
+          assert.deepEqual(response, {success: true, order: {id: 1, state: 'canceling'}, statusCode: 200})
+          assert.equal(received.headers['x-sbtc-signature'],
+            crypto.createHmac('sha384', 'secret').update(message).digest('hex'))
+        })
+      })
+
+      it('should send JSON bodies', function () {
+        return client().cancelOrderId(1).then(function () {
+          assert.equal(received.method, 'PUT')
+          assert.match(received.headers['content-type'], /application\/json/)
+          assert.deepEqual(received.body, {state: 'canceling'})
+        })
+      })
+
+      it('should fail with typed errors on error responses', function () {
+        return client().getOrderId(404).then(function () {
+          throw new Error('should have failed')
+        }, function (error) {
+          assert.instanceOf(error, errors.SurbtcNotFoundError)
+          assert.equal(error.message, 'not_found')
+        })
+      })
+
+      it('should fail with network errors on dropped connections', function () {
+        return client().getOrderId('drop').then(function () {
+          throw new Error('should have failed')
+        }, function (error) {
+          assert.instanceOf(error, errors.SurbtcNetworkError)
+          assert.equal(error.reason, 'connection')
+        })
+      })
+
+      it('should time out', function () {
+        return client({timeout: 50}).getOrderId('slow').then(function () {
+          throw new Error('should have failed')
+        }, function (error) {
+          assert.instanceOf(error, errors.SurbtcNetworkError)
+          assert.equal(error.reason, 'timeout')
+        })
+      })
+
+      it('should abort', function () {
+        var controller = new AbortController()
+        var promise = client().getOrderId('slow', {signal: controller.signal})
+
+        setTimeout(function () {
+          controller.abort()
+        }, 20)
+
+        return promise.then(function () {
+          throw new Error('should have failed')
+        }, function (error) {
+          assert.instanceOf(error, errors.SurbtcAbortError)
+        })
+      })
+    })
+  })
+
+  it('should send plain requests through a proxy', function () {
+    var client = new Client({
+      api: 'http://exchange.invalid/api/v2',
+      transport: new transports.HttpTransport({proxy: api.replace('/api/v2', '')})
+    })
+
+    return client.getMarkets().then(function () {
+      assert.equal(received.url, 'http://exchange.invalid/api/v2/markets')
+      assert.equal(received.headers.host, 'exchange.invalid')
+    })
+  })
+
+  it('should use the given fetch implementation', function () {
+    if (!global.fetch) {
+      return this.skip()
+    }
+
+    var requests = []
+    var transport = new transports.FetchTransport({
+      fetch: function (url, options) {
+        requests.push([url, options.method])
+        return global.fetch(url, options)
+      }
+    })
+
+    return new Client({api: api, transport: transport}).getMarkets().then(function () {
+      assert.deepEqual(requests, [[api + '/markets', 'GET']])
+    })
+  })
+})